@@ -1,20 +1,28 @@
 // Background script for YouTube Audio Mode
-// Handles keyboard shortcuts and badge updates
+// Handles keyboard shortcuts, badge updates, schedule boundaries, connection changes, profile switching and the data budget
+
+importScripts('schedule.js', 'network.js', 'storage.js', 'profiles.js', 'budget.js');
+
+const SCHEDULE_ALARM = 'schedule-boundary';
+const BUDGET_ALARM = 'budget-cycle';
+const BUDGET_NOTIFICATION = 'data-budget';
+
+// Usage logs change every few seconds while playing - run one budget check at a time
+let budgetCheckRunning = false;
+let budgetCheckQueued = false;
 
 // Initialize state on install
 chrome.runtime.onInstalled.addListener(() => {
-    chrome.storage.sync.get(['audioModeType'], (result) => {
-        updateBadge(result.audioModeType || 'always');
-    });
+    refreshSchedule();
 
     // Log storage quota on install
     monitorStorageQuota();
 });
 
-// Also initialize badge on startup (not just install)
-chrome.storage.sync.get(['audioModeType'], (result) => {
-    updateBadge(result.audioModeType || 'always');
-});
+// Also initialize badge and schedule alarm on startup (not just install)
+refreshSchedule();
+updateProfileTitle();
+checkDataBudget();
 
 // Debounced badge update to prevent excessive calls
 let badgeUpdateTimeout = null;
@@ -27,13 +35,156 @@ function debouncedUpdateBadge(modeType) {
     }, 100);
 }
 
-// Update badge when storage changes
+// Update badge and schedule alarm when storage changes
 chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === 'sync' && changes.audioModeType) {
-        debouncedUpdateBadge(changes.audioModeType.newValue);
+    if (namespace === 'sync' && (changes.audioModeType || changes.schedules || changes.networkAware)) {
+        refreshSchedule();
+    }
+    if (namespace === 'local' && changes.activeProfileId) {
+        updateProfileTitle();
+    }
+    if ((namespace === 'sync' && changes.dataBudget) ||
+        (namespace === 'local' && (changes.statsLogs || changes.bytesLogs || changes.videoBytesLogs))) {
+        checkDataBudget();
+    }
+});
+
+/**
+ * Show the active profile in the toolbar button tooltip
+ */
+async function updateProfileTitle() {
+    const { profiles, activeProfileId } = await getProfiles();
+    const profile = profiles.find(p => p.id === activeProfileId);
+    const appName = chrome.i18n.getMessage('appName');
+    chrome.action.setTitle({ title: profile ? `${appName} · ${profile.name}` : appName });
+}
+
+/**
+ * Update the badge with the effective mode and set an alarm for the next schedule boundary
+ * @param {boolean} notifyTabs - Tell open video tabs to re-apply the mode (on a boundary)
+ */
+function refreshSchedule(notifyTabs = false) {
+    chrome.storage.sync.get(['audioModeType', 'schedules', 'networkAware'], (result) => {
+        const scheduledMode = getEffectiveModeType(result.audioModeType, result.schedules);
+        const effectiveMode = getNetworkModeType(scheduledMode, result.networkAware);
+        debouncedUpdateBadge(effectiveMode);
+
+        chrome.alarms.clear(SCHEDULE_ALARM, () => {
+            const nextBoundary = getNextScheduleBoundary(result.schedules);
+            if (nextBoundary) {
+                chrome.alarms.create(SCHEDULE_ALARM, { when: nextBoundary.getTime() });
+            }
+        });
+
+        if (notifyTabs) {
+            chrome.tabs.query({ url: 'https://www.youtube.com/watch*' }, (tabs) => {
+                tabs.forEach(tab => {
+                    chrome.tabs.sendMessage(tab.id, { action: 'scheduleBoundary' }).catch(() => {
+                        // Content script not ready, it will apply the schedule on load
+                    });
+                });
+            });
+        }
+    });
+}
+
+// Keep the badge in sync with the connection (open tabs listen for changes themselves)
+navigator.connection?.addEventListener('change', () => refreshSchedule());
+
+// Re-apply the mode when a schedule window starts or ends
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SCHEDULE_ALARM) {
+        console.log('[Audio Mode] Schedule boundary reached');
+        refreshSchedule(true);
+    } else if (alarm.name === BUDGET_ALARM) {
+        console.log('[Audio Mode] Data budget cycle ended');
+        checkDataBudget();
     }
 });
 
+/**
+ * Compare usage with the data budget (see budget.js):
+ * - a new cycle restores the mode the budget switched away from
+ * - each warning threshold shows one notification per cycle
+ * - optionally switches to Always On once the budget is nearly spent
+ */
+async function checkDataBudget() {
+    if (budgetCheckRunning) {
+        budgetCheckQueued = true;
+        return;
+    }
+    budgetCheckRunning = true;
+
+    try {
+        const { budget, cycle, usedMB, percent, state: cycleState } = await getDataBudgetStatus();
+        const { dataBudgetState: previousState } = await chrome.storage.local.get(['dataBudgetState']);
+        let { audioModeType } = await chrome.storage.sync.get(['audioModeType']);
+        let state = cycleState;
+
+        if (!state) {
+            // New cycle - put back the mode if the user hasn't changed it since
+            if (previousState?.escalated && previousState.previousMode && audioModeType === 'always') {
+                audioModeType = previousState.previousMode;
+                await chrome.storage.sync.set({ audioModeType });
+                console.log(`[Audio Mode] New data budget cycle, mode restored to ${previousState.previousMode}`);
+            }
+            state = { cycleStart: cycle.start, warned: [], escalated: false, previousMode: null };
+        }
+        const savedState = JSON.stringify(state);
+
+        if (budget.enabled && budget.limitMB > 0) {
+            const reached = budget.warnAt.filter(threshold => percent >= threshold && !state.warned.includes(threshold));
+            if (reached.length > 0) {
+                state.warned = [...state.warned, ...reached];
+                showBudgetNotification(
+                    `${chrome.i18n.getMessage('budgetUsed')}: ${formatBudgetData(usedMB)} / ${formatBudgetData(budget.limitMB)} (${Math.floor(percent)}%)`
+                );
+            }
+
+            if (budget.autoAudio && !state.escalated && percent >= budget.autoAudioAt) {
+                state.escalated = true;
+                state.previousMode = audioModeType || 'always';
+                if (audioModeType !== 'always') {
+                    await chrome.storage.sync.set({ audioModeType: 'always' });
+                }
+                showBudgetNotification(chrome.i18n.getMessage('budgetAlwaysOn'));
+                console.log('[Audio Mode] Data budget nearly spent, switched to Always On');
+            }
+        }
+
+        if (JSON.stringify(state) !== savedState || !cycleState) {
+            await chrome.storage.local.set({ dataBudgetState: state });
+        }
+
+        // Wake up when the cycle ends, to restore the mode
+        chrome.alarms.create(BUDGET_ALARM, { when: cycle.endsAt.getTime() });
+    } catch (error) {
+        console.error('[Audio Mode] Data budget check failed:', error);
+    } finally {
+        budgetCheckRunning = false;
+        if (budgetCheckQueued) {
+            budgetCheckQueued = false;
+            checkDataBudget();
+        }
+    }
+}
+
+function showBudgetNotification(message) {
+    chrome.notifications.create(BUDGET_NOTIFICATION, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: chrome.i18n.getMessage('dataBudget'),
+        message: message
+    });
+}
+
+function formatBudgetData(mb) {
+    if (mb >= 1024) {
+        return `${(mb / 1024).toFixed(2)}${chrome.i18n.getMessage('unitGB')}`;
+    }
+    return `${Math.round(mb)}${chrome.i18n.getMessage('unitMB')}`;
+}
+
 function updateBadge(modeType) {
     if (modeType === 'always') {
         chrome.action.setBadgeText({ text: 'ON' });
@@ -69,25 +220,30 @@ chrome.commands.onCommand.addListener((command) => {
             if (currentTab && currentTab.url.includes('youtube.com')) {
                 // Send toggle message to content script
                 chrome.tabs.sendMessage(currentTab.id, { action: 'toggleAudioMode' }, (response) => {
-                    // Update storage if content script handles it
-                    // (The content script updates storage, which triggers the onChanged listener above)
+                    // The content script sets a temporary override for the current video
 
                     // Fallback: inject content script if not ready
                     if (chrome.runtime.lastError) {
                         console.log('Content script not ready, injecting script...');
                         chrome.scripting.executeScript({
                             target: { tabId: currentTab.id },
-                            files: ['content.js']
+                            files: ['schedule.js', 'network.js', 'rules.js', 'storage.js', 'history.js', 'content.js']
                         }, () => {
-                            // Toggle state after script is loaded
-                            chrome.storage.sync.get(['audioMode'], (result) => {
-                                const newState = !result.audioMode;
-                                chrome.storage.sync.set({ audioMode: newState });
+                            // Toggle once the script is loaded (an override for this video, see content.js)
+                            chrome.tabs.sendMessage(currentTab.id, { action: 'toggleAudioMode' }).catch(() => {
+                                console.log('[Audio Mode] Content script still not ready, toggle skipped');
                             });
                         });
                     }
                 });
             }
         });
+    } else if (command === 'cycle-profile') {
+        // Content scripts pick up the new profile's settings from storage
+        cycleProfile().then(profile => {
+            if (!profile) {
+                console.log('[Audio Mode] No profiles to switch between');
+            }
+        });
     }
 });
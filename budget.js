@@ -0,0 +1,116 @@
+// Data usage and monthly data budget for YouTube Audio Mode
+// Shared by background.js (importScripts) and popup.js
+
+/**
+ * Usage logs in chrome.storage.local, keyed by UTC date 'YYYY-MM-DD' (written by content.js):
+ * - statsLogs: seconds listened in audio mode
+ * - bytesLogs: media bytes downloaded in audio mode (days without an entry are estimated)
+ * - videoBytesLogs: media bytes downloaded with audio mode off
+ *
+ * dataBudget (chrome.storage.sync):
+ * { enabled, limitMB, billingDay (1-28), warnAt: [percent, ...], autoAudio, autoAudioAt (percent) }
+ * dataBudgetState (chrome.storage.local), reset when a new cycle starts:
+ * { cycleStart, warned: [percent, ...], escalated, previousMode }
+ */
+
+// Typical YouTube data rates (MB per minute), for what the same listening would cost
+// in video, and for audio mode days from before bytes were measured
+const DATA_RATES_MB_PER_MIN = {
+    RATE_144P: 0.75,
+    RATE_720P: 18.75,
+    RATE_1080P: 33.75
+};
+
+const BYTES_PER_MB = 1024 * 1024;
+
+const DATA_BUDGET_DEFAULTS = {
+    enabled: false,
+    limitMB: 2048,
+    billingDay: 1,
+    warnAt: [75, 90, 100],
+    autoAudio: false,
+    autoAudioAt: 90
+};
+
+// Later billing days would not exist in every month
+const MAX_BILLING_DAY = 28;
+
+/**
+ * Date key used by the usage logs
+ */
+function toDateKey(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Budget cycle containing a date: from the billing day of one month to the next
+ * (billing day 1 is the calendar month, like the "This Month" statistics)
+ * @returns {Object} { start, end } date keys (end excluded), and endsAt (Date)
+ */
+function getBudgetCycle(billingDay = 1, now = new Date()) {
+    const day = Math.min(Math.max(Math.floor(billingDay) || 1, 1), MAX_BILLING_DAY);
+    const month = now.getUTCMonth() - (now.getUTCDate() < day ? 1 : 0);
+
+    const startsAt = new Date(Date.UTC(now.getUTCFullYear(), month, day));
+    const endsAt = new Date(Date.UTC(now.getUTCFullYear(), month + 1, day));
+    return { start: toDateKey(startsAt), end: toDateKey(endsAt), endsAt };
+}
+
+/**
+ * Audio mode data used on a day: measured bytes, or an estimate from listening time
+ * @returns {Object} { mb, estimated }
+ */
+function getAudioModeUsage(date, statsLogs, bytesLogs) {
+    if (bytesLogs[date] !== undefined) {
+        return { mb: bytesLogs[date] / BYTES_PER_MB, estimated: false };
+    }
+    const seconds = statsLogs[date] || 0;
+    return { mb: (seconds / 60) * DATA_RATES_MB_PER_MIN.RATE_144P, estimated: seconds > 0 };
+}
+
+/**
+ * All YouTube media data used between two dates (audio mode and video), in MB
+ * @param {Object} logs - { statsLogs, bytesLogs, videoBytesLogs }
+ * @param {string} start - First date key
+ * @param {string} end - Date key after the last day
+ */
+function getDataUsageMB(logs, start, end) {
+    const statsLogs = logs.statsLogs || {};
+    const bytesLogs = logs.bytesLogs || {};
+    const videoBytesLogs = logs.videoBytesLogs || {};
+
+    const dates = new Set([...Object.keys(statsLogs), ...Object.keys(bytesLogs), ...Object.keys(videoBytesLogs)]);
+    let total = 0;
+    dates.forEach(date => {
+        if (date < start || date >= end) return;
+        total += getAudioModeUsage(date, statsLogs, bytesLogs).mb + (videoBytesLogs[date] || 0) / BYTES_PER_MB;
+    });
+    return total;
+}
+
+/**
+ * Read the budget settings, with defaults for anything not set
+ */
+async function getDataBudget() {
+    const result = await chrome.storage.sync.get(['dataBudget']);
+    return { ...DATA_BUDGET_DEFAULTS, ...result.dataBudget };
+}
+
+/**
+ * Usage toward the budget in the current cycle
+ * @returns {Promise<Object>} { budget, cycle, usedMB, percent, state }
+ */
+async function getDataBudgetStatus() {
+    const budget = await getDataBudget();
+    const logs = await chrome.storage.local.get(['statsLogs', 'bytesLogs', 'videoBytesLogs', 'dataBudgetState']);
+    const cycle = getBudgetCycle(budget.billingDay);
+    const usedMB = getDataUsageMB(logs, cycle.start, cycle.end);
+
+    return {
+        budget,
+        cycle,
+        usedMB,
+        percent: budget.limitMB > 0 ? (usedMB / budget.limitMB) * 100 : 0,
+        state: logs.dataBudgetState?.cycleStart === cycle.start ? logs.dataBudgetState : null
+    };
+}
@@ -11,7 +11,8 @@ function isOnVideoPage() {
 const TIMING = {
     RETRY_DELAY: 1000,
     QUALITY_SET_DELAY: 1000,
-    QUALITY_CHECK_INTERVAL: 5000,
+    QUALITY_CHECK_INTERVAL: 30000, // Watchdog only - quality changes are caught by events
+    QUALITY_CHECK_DEBOUNCE: 250,
     USAGE_TRACKING_INTERVAL: 5000,
     FALLBACK_TIMEOUT: 3000,
     UI_INTERACTION_BASE: 300,
@@ -20,30 +21,80 @@ const TIMING = {
     API_VERIFICATION_DELAY: 500
 };
 
-const DATA_RATES_MB_PER_MIN = {
-    RATE_144P: 0.75,
-    RATE_720P: 18.75,
-    RATE_1080P: 33.75
-};
+// Media segment requests of the player (resource timing entry names)
+const MEDIA_SEGMENT_URL_PATTERN = /\.googlevideo\.com\/videoplayback/;
+
+// sessionStorage key for this tab's override (kept across reloads of the tab)
+const OVERRIDE_STORAGE_KEY = 'ytAudioModeOverride';
+
+// Channel suggestions: background listening that counts a video, and channels remembered
+const BACKGROUND_LISTENING_VIDEO_SECONDS = 120;
+const CHANNEL_LISTENING_MAX_ENTRIES = 200;
+
+// Hidden tab audio: default wait before a hidden tab switches to audio mode
+const HIDDEN_TAB_GRACE_SECONDS = 30;
 
 const QUALITY = {
-    TARGET: 'tiny',  // 144p
-    FALLBACK: 'small',
+    TARGET: 'tiny',  // 144p, audio mode target when the player doesn't list its levels
     RESTORE: 'hd720' // 720p
 };
 
+// Quality levels from lowest to highest, and their labels in the player's quality menu
+const QUALITY_LEVELS = ['tiny', 'small', 'medium', 'large', 'hd720', 'hd1080', 'hd1440', 'hd2160'];
+const QUALITY_TEXT = {
+    'hd2160': '2160p',
+    'hd1440': '1440p',
+    'hd1080': '1080p',
+    'hd720': '720p',
+    'large': '480p',
+    'medium': '360p',
+    'small': '240p',
+    'tiny': '144p',
+    'auto': 'Auto'
+};
+
 // ===== STATE VARIABLES =====
 let audioModeEnabled = false;
 let audioModeOverlay = null;
-let qualityCheckInterval = null;
+let qualityCheckInterval = null; // Watchdog for quality enforcement (see startQualityEnforcement)
+let qualityCheckTimeout = null;
+let qualityEventVideo = null; // Elements the quality listeners are attached to
+let qualityEventPlayer = null;
 let usageTrackingInterval = null;
+let mediaBytesObserver = null; // Measures media downloaded - see startMediaBytesTracking()
+let pendingMediaBytes = null; // Audio mode bytes not yet added to bytesLogs (null: nothing measured)
+let mediaBytesFlushing = false; // A bytesLogs write is in progress - see flushMediaBytes()
+let pendingVideoBytes = 0; // Bytes downloaded with audio mode off, not yet added to videoBytesLogs
+let videoBytesFlushTimeout = null;
 let cachedVideoElement = null;
 let currentLanguage = 'en';
 let videoPlayHandler = null;
 let videoPauseHandler = null;
 let lastAppliedVideoId = null;
-let currentModeType = 'always'; // 'always' or 'filtered'
+let currentModeType = 'always'; // Effective mode: 'always', 'filtered' or 'off'
+let baseModeType = 'always'; // Mode selected in the popup (before schedules)
+let scheduleRules = []; // Schedule entries (see schedule.js)
+let networkAware = false; // Switch to Always On on constrained connections (see network.js)
+let hiddenTabAudio = false; // Switch hidden tabs to audio mode - see onVisibilityChange()
+let hiddenTabGraceSeconds = HIDDEN_TAB_GRACE_SECONDS;
+let hiddenTabTimeout = null;
+let hiddenTabAudioActive = false; // Tab has been hidden past the grace period
+let historyEnabled = false; // Opt-in listening history (see history.js)
+let historyRetentionDays = HISTORY_RETENTION_DEFAULT_DAYS;
+let historySession = null; // { id, videoId } of the history entry being extended
+let lastDecision = null; // Why audio mode is (or isn't) active - see createDecision()
+let modeOverride = null; // Temporary audio/video override for this tab - see setOverride()
+let overrideExpiryTimeout = null;
+let lastRecordedMatch = null; // 'videoId:ruleKey' of the last counted rule match
+let backgroundListening = null; // { videoId, seconds, counted } for the video playing in a background tab
+let backgroundListeningInterval = null;
+let listeningVideoInfo = null; // Video info kept for the periodic listening records - see getListeningVideoInfo()
 let savedQualityBeforeAudioMode = null; // Store user's quality to restore later
+let audioQualitySetting = 'lowest'; // Audio mode quality: 'lowest' or a level from QUALITY_LEVELS
+let channelProfiles = []; // Per-channel quality, speed and volume - see getChannelProfile()
+let channelProfileCache = null; // { videoId, channelInfo } for the current video
+let channelPlaybackKey = null; // 'videoId:profileId' the speed and volume were last applied for
+let playbackBeforeChannelProfile = null; // { rate, volume } to go back to after a channel profile's video
 
 // Quality operation locking state - prevents duplicate popup openings
 let qualityOperationInProgress = false;
@@ -81,7 +132,7 @@ async function loadMessages(lang) {
 // Initialize by checking saved preference
 if (chrome.runtime?.id) {
     try {
-        chrome.storage.sync.get(['audioModeType', 'language', 'preferredQuality'], async function (result) {
+        chrome.storage.sync.get(['audioModeType', 'language', 'preferredQuality', 'audioQuality', 'channelProfiles', 'schedules', 'networkAware', 'hiddenTabAudio', 'hiddenTabGraceSeconds', 'historyEnabled', 'historyRetentionDays'], async function (result) {
             if (chrome.runtime.lastError) {
                 console.log('[Audio Mode] Could not load initial state:', chrome.runtime.lastError);
                 return;
@@ -101,9 +152,23 @@ if (chrome.runtime?.id) {
                 savedQualityBeforeAudioMode = result.preferredQuality;
                 console.log('[Audio Mode] Loaded preferred quality:', savedQualityBeforeAudioMode);
             }
-
-            // Set the current mode type
-            currentModeType = result.audioModeType || 'always';
+            audioQualitySetting = result.audioQuality || 'lowest';
+            channelProfiles = result.channelProfiles || [];
+            historyEnabled = !!result.historyEnabled;
+            historyRetentionDays = getHistoryRetentionDays(result.historyRetentionDays);
+
+            // Set the current mode type (schedules and the connection may override it)
+            baseModeType = result.audioModeType || 'always';
+            scheduleRules = result.schedules || [];
+            networkAware = !!result.networkAware;
+            hiddenTabAudio = !!result.hiddenTabAudio;
+            hiddenTabGraceSeconds = result.hiddenTabGraceSeconds ?? HIDDEN_TAB_GRACE_SECONDS;
+            if (document.hidden) onVisibilityChange();
+            updateEffectiveMode();
+
+            // Pick up an override set before this tab was reloaded
+            modeOverride = loadOverride();
+            scheduleOverrideExpiry();
 
             // Apply mode logic
             await applyModeLogic();
@@ -115,13 +180,133 @@ if (chrome.runtime?.id) {
 
 // ===== MODE LOGIC =====
 
+/**
+ * Recompute the effective mode from the selected mode, schedules and the connection
+ * @returns {boolean} true if the effective mode changed
+ */
+function updateEffectiveMode() {
+    const previousModeType = currentModeType;
+    currentModeType = getNetworkModeType(getEffectiveModeType(baseModeType, scheduleRules), networkAware);
+    if (currentModeType !== previousModeType) {
+        console.log(`[Audio Mode] Effective mode: ${currentModeType} (selected: ${baseModeType})`);
+    }
+    return currentModeType !== previousModeType;
+}
+
+/**
+ * Re-apply the mode when the connection changes, e.g. from Wi-Fi to tethering
+ */
+function onConnectionChange() {
+    if (!networkAware || !chrome.runtime?.id) return;
+
+    if (updateEffectiveMode()) {
+        console.log(`[Audio Mode] Connection changed: ${getConnectionConstraint() || 'fast'}`);
+        lastAppliedVideoId = null;
+        applyModeLogic();
+    }
+}
+
+/**
+ * Read the override saved for this tab
+ */
+function loadOverride() {
+    try {
+        return JSON.parse(sessionStorage.getItem(OVERRIDE_STORAGE_KEY)) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Set or clear (null) a temporary override that forces audio or video in this tab,
+ * regardless of mode, schedules and rules:
+ * - 'video': until another video is opened
+ * - 'tab': for the rest of this tab's session
+ * - 'timed': for the given number of minutes
+ * @param {Object|null} override - { audio: boolean, scope: 'video'|'tab'|'timed', minutes }
+ */
+function setOverride(override) {
+    if (!override) {
+        modeOverride = null;
+        sessionStorage.removeItem(OVERRIDE_STORAGE_KEY);
+        scheduleOverrideExpiry();
+        console.log('[Audio Mode] Override cleared');
+        return;
+    }
+
+    modeOverride = {
+        audio: !!override.audio,
+        scope: override.scope,
+        videoId: new URLSearchParams(window.location.search).get('v'),
+        expiresAt: override.scope === 'timed' ? Date.now() + override.minutes * 60 * 1000 : null
+    };
+    sessionStorage.setItem(OVERRIDE_STORAGE_KEY, JSON.stringify(modeOverride));
+    scheduleOverrideExpiry();
+    console.log('[Audio Mode] Override set:', modeOverride);
+
+    if (modeOverride.audio) {
+        recordChannelListening({ manualAudio: 1 });
+    }
+}
+
+/**
+ * Get the override covering the current video, clearing it once it has expired
+ * @returns {Object|null}
+ */
+function getActiveOverride() {
+    if (!modeOverride) return null;
+
+    const videoId = new URLSearchParams(window.location.search).get('v');
+    const expired = (modeOverride.scope === 'video' && modeOverride.videoId !== videoId) ||
+        (modeOverride.scope === 'timed' && Date.now() >= modeOverride.expiresAt);
+
+    if (expired) {
+        setOverride(null);
+        return null;
+    }
+    return modeOverride;
+}
+
+/**
+ * Re-apply the mode when a timed override runs out
+ */
+function scheduleOverrideExpiry() {
+    if (overrideExpiryTimeout) {
+        clearTimeout(overrideExpiryTimeout);
+        overrideExpiryTimeout = null;
+    }
+    if (modeOverride?.scope !== 'timed') return;
+
+    overrideExpiryTimeout = setTimeout(() => {
+        console.log('[Audio Mode] Timed override ended');
+        lastAppliedVideoId = null;
+        applyModeLogic();
+    }, Math.max(0, modeOverride.expiresAt - Date.now()));
+}
+
+/**
+ * Apply this tab's override if one covers the current video
+ * @returns {boolean} true if an override decided (mode and rules are skipped)
+ */
+function applyOverride() {
+    const override = getActiveOverride();
+    if (!override) return false;
+
+    lastAppliedVideoId = new URLSearchParams(window.location.search).get('v');
+    applyDecision(createDecision(override.audio, 'override', null, { override }));
+    return true;
+}
+
 /**
  * Apply the current mode logic
- * - 'always': Enable audio mode on all YouTube videos
+ * - 'always': Enable audio mode on all YouTube videos, except blacklisted ones
  * - 'filtered': Enable/disable based on filter rules, OFF if no match
  * - 'off': Extension disabled, normal video playback
  */
 async function applyModeLogic() {
+    // Pick up schedule windows that started/ended since the last check
+    updateEffectiveMode();
+
     // Only apply on video pages
     if (!isOnVideoPage()) {
         // If we navigated away from a video, disable audio mode
@@ -131,23 +316,15 @@ async function applyModeLogic() {
         return;
     }
 
+    // A temporary override beats the mode, schedules and rules
+    if (applyOverride()) return;
+
     if (currentModeType === 'off') {
-        // Off mode: disable audio mode, use preferred quality
-        if (audioModeEnabled) {
-            disableAudioMode(true);
-        } else {
-            applyPreferredQuality();
-        }
-    } else if (currentModeType === 'always') {
-        // Always On mode: enable audio mode on all videos
-        if (!audioModeEnabled) {
-            enableAudioMode(true); // fromAutoRule = true, don't persist
-        } else {
-            // Already enabled but navigated to new video - re-apply quality
-            setLowestQuality();
-        }
+        // Off mode: disable audio mode, use preferred quality (a hidden tab keeps audio mode)
+        applyDecision(createDecision(false, 'modeOff'));
     } else {
-        // Filtered mode: check filter rules
+        // Always On / Filtered mode: check filter rules
+        // (Always On still honors the blacklist)
         await applyFilteredMode();
     }
 }
@@ -175,26 +352,18 @@ function applyPreferredQualityInternal(onComplete = null) {
         return;
     }
 
+    applyChannelPlayback(player, video);
+
     chrome.storage.sync.get(['preferredQuality'], (result) => {
-        const quality = result.preferredQuality;
+        // The channel's profile wins over the global preference
+        const quality = getChannelProfile()?.preferredQuality || result.preferredQuality;
         if (!quality || quality === 'auto') {
             // Auto or not set - let YouTube handle it
             onComplete?.();
             return;
         }
 
-        // Map quality codes to UI text for click fallback
-        const qualityToText = {
-            'hd2160': '2160p',
-            'hd1440': '1440p',
-            'hd1080': '1080p',
-            'hd720': '720p',
-            'large': '480p',
-            'medium': '360p',
-            'small': '240p',
-            'tiny': '144p'
-        };
-        const uiTargetText = qualityToText[quality] || '720p';
+        const uiTargetText = QUALITY_TEXT[quality] || '720p';
 
         console.log('[Audio Mode] Applying preferred quality:', quality);
 
@@ -226,112 +395,384 @@ function applyPreferredQualityInternal(onComplete = null) {
 }
 
 /**
- * Apply filtered mode logic (whitelist-only)
- * If channel/keyword matches whitelist → enable audio mode
- * Otherwise → normal video (no audio mode)
+ * Apply rule-based mode logic (used by both Always On and Filtered modes)
+ * Precedence (most specific first):
+ * 1. Video rules: "always audio" (whitelist) / "always video" (blacklist)
+ * 2. Playlist rules: every item of a listed playlist
+ * 3. Blacklist match → normal video (takes precedence over whitelist)
+ * 4. Filtered: whitelist match → enable audio mode, otherwise normal video
+ *    Always On: audio mode unless blacklisted
  */
 async function applyFilteredMode(retryCount = 0) {
     if (!chrome.runtime?.id) return;
     if (!isOnVideoPage()) return; // Safeguard
+    if (applyOverride()) return;
 
     const MAX_RETRIES = 5;
     const RETRY_DELAY = 600;
 
     try {
-        const result = await new Promise(resolve => {
-            chrome.storage.sync.get(['filterRules'], resolve);
-        });
+        const filterRules = await getFilterRules();
+
+        // Video and playlist rules only need the URL - decide right away
+        const urlParams = new URLSearchParams(window.location.search);
+        const idMatch = checkIdRules({
+            videoId: urlParams.get('v'),
+            playlistId: urlParams.get('list')
+        }, filterRules);
+        if (idMatch) {
+            lastAppliedVideoId = urlParams.get('v');
+            applyDecision(createDecision(idMatch.listType === 'whitelist', 'rule', idMatch));
+            return;
+        }
+
+        // Always On without a blacklist never depends on video info - enable right away
+        if (currentModeType === 'always' && !hasRules(filterRules?.blacklist)) {
+            lastAppliedVideoId = urlParams.get('v');
+            applyDecision(createDecision(true, 'alwaysDefault'));
+            return;
+        }
+
+        // Waiting for video info - let the popup know rules are being checked
+        if (retryCount === 0) {
+            recordDecision(createDecision(audioModeEnabled, 'pending'));
+        }
 
         // Wait for DOM to settle after SPA navigation
         // First attempt needs longer delay for YouTube to update DOM
         const initialDelay = retryCount === 0 ? 500 : 400;
         await new Promise(resolve => setTimeout(resolve, initialDelay));
 
+        // Mode may have changed (or an override been set) while waiting
+        if (currentModeType === 'off' || getActiveOverride()) return;
+
         const videoInfo = getCurrentVideoInfo();
         console.log('[Audio Mode] Video info:', videoInfo, 'Retry:', retryCount);
 
         // If we can't get video info, retry a few times before giving up
         // Check for both channelId AND videoTitle to ensure keyword filtering works
-        if (!videoInfo || !videoInfo.channelId || !videoInfo.videoTitle) {
+        const missingInfo = !videoInfo || !videoInfo.channelId || !videoInfo.videoTitle;
+        // Duration comes from the video element on SPA navigation and may load later
+        const missingDuration = !missingInfo && !videoInfo.durationSeconds && rulesUseDuration(filterRules);
+
+        if (missingInfo || missingDuration) {
             if (retryCount < MAX_RETRIES) {
                 console.log('[Audio Mode] No video info yet, retrying...');
                 setTimeout(() => applyFilteredMode(retryCount + 1), RETRY_DELAY);
                 return;
             }
 
-            // Max retries reached - disable audio mode
-            if (audioModeEnabled) {
-                console.log('[Audio Mode] No video info after retries - disabling');
-                disableAudioMode(true);
+            if (missingInfo) {
+                // Max retries reached - fall back to the mode default
+                // (Always On → audio, Filtered → normal video)
+                console.log('[Audio Mode] No video info after retries - using mode default');
+                applyDecision(createDecision(currentModeType === 'always', 'infoTimeout', null, { timedOut: true }));
+                return;
             }
-            return;
         }
 
         // Track this video
         lastAppliedVideoId = videoInfo.videoId;
 
-        // Check whitelist only
-        const shouldEnable = checkWhitelist(videoInfo, result.filterRules);
-        console.log('[Audio Mode] Should enable:', shouldEnable);
-
-        if (shouldEnable) {
-            if (!audioModeEnabled) {
-                console.log('[Audio Mode] Whitelist match - enabling');
-                enableAudioMode(true);
-            } else {
-                // Already enabled but navigated to new video - re-apply quality
-                console.log('[Audio Mode] Already enabled, re-applying 144p quality');
-                setLowestQuality();
-            }
-        } else {
-            // No match - normal video
-            if (audioModeEnabled) {
-                console.log('[Audio Mode] No whitelist match - disabling');
-                disableAudioMode(true);
-            } else {
-                // Not in audio mode - apply user's preferred quality
-                console.log('[Audio Mode] Normal video - applying preferred quality');
-                applyPreferredQuality();
-            }
+        // Both forms of the channel are known - store the missing one on rules saved with the other
+        // (this copy of the rules is only used for this decision)
+        const channelForms = { ucid: videoInfo.channelUcid, handle: videoInfo.channelHandle };
+        if (upgradeChannelRules(filterRules, channelForms)) {
+            saveChannelRulesUpgrade(channelForms);
         }
+
+        // Blacklist takes precedence over whitelist in every mode (see rules.js)
+        const timedOut = missingDuration; // Decided without the video duration
+        const outcome = evaluateRules(videoInfo, filterRules, currentModeType);
+        const decision = createDecision(outcome.audio, outcome.reason, outcome.match, { timedOut });
+        console.log('[Audio Mode] Decision:', decision);
+
+        applyDecision(decision);
     } catch (error) {
         console.error('[Audio Mode] Error in filtered mode:', error);
     }
 }
 
 /**
- * Check if video matches whitelist (channels or keywords)
+ * Save both forms of a channel on the stored rules
+ * Upgrades a fresh read - the rules read when the video started may be stale by now
+ * (e.g. a rule added or removed in the popup meanwhile)
+ * @param {Object} channel - { ucid, handle }, both known
  */
-function checkWhitelist(videoInfo, filterRules) {
-    if (!videoInfo || !filterRules) return false;
+async function saveChannelRulesUpgrade(channel) {
+    try {
+        const storedRules = await getFilterRules();
+        if (!upgradeChannelRules(storedRules, channel)) return;
 
-    const { videoTitle, channelId } = videoInfo;
-    const whitelist = filterRules.whitelist;
+        await saveFilterRules(storedRules);
+        console.log(`[Audio Mode] Channel rules upgraded: ${channel.handle} / ${channel.ucid}`);
+    } catch (error) {
+        console.error('[Audio Mode] Failed to upgrade channel rules:', error);
+    }
+}
 
-    if (!whitelist) return false;
+/**
+ * Create a structured decision explaining why audio mode is (or isn't) active
+ * @param {boolean} audio - true for audio mode, false for normal video
+ * @param {string} reason - 'rule', 'alwaysDefault', 'noMatch', 'infoTimeout', 'modeOff', 'override' or 'pending'
+ * @param {Object|null} match - Matched rule { listType, ruleType, value } (reason 'rule')
+ * @param {Object} extra - Additional fields (e.g. { timedOut: true }, { override })
+ */
+function createDecision(audio, reason, match = null, extra = {}) {
+    return {
+        videoId: new URLSearchParams(window.location.search).get('v'),
+        audio: audio,
+        reason: reason,
+        match: match,
+        modeType: currentModeType,
+        baseModeType: baseModeType,
+        scheduled: !!getActiveSchedule(scheduleRules),
+        network: networkAware ? getConnectionConstraint() : null,
+        timedOut: false,
+        decidedAt: Date.now(),
+        ...extra
+    };
+}
+
+/**
+ * Store the latest decision and refresh the overlay hint
+ */
+function recordDecision(decision) {
+    lastDecision = decision;
+    updateOverlayReason();
+}
+
+/**
+ * Record a decision and enable/disable audio mode accordingly
+ */
+function applyDecision(decision) {
+    recordDecision(decision);
+    setAudioModeForVideo(decision.audio);
+
+    if (decision.reason === 'rule' && decision.match?.key) {
+        recordRuleMatch(decision.match.key);
+    }
+}
+
+/**
+ * Count a rule match (once per video) and remember when it happened
+ * ruleStats in chrome.storage.local: { [ruleKey]: { hits, lastMatchedAt, listeningSeconds } }
+ * Listening time is added by the usage tracking interval while the rule's decision is active.
+ * @param {string} key - Rule key from rules.js (getRuleKey)
+ */
+function recordRuleMatch(key) {
+    if (!chrome.runtime?.id) return;
 
-    // Check channel whitelist
-    if (channelId && whitelist.channels?.length > 0) {
-        const match = whitelist.channels.find(c => c.id === channelId);
-        if (match) {
-            console.log(`[Audio Mode] Channel match: ${match.name}`);
-            return true;
+    // Decisions are re-applied on navigation events - count each video only once
+    const matchId = `${new URLSearchParams(window.location.search).get('v')}:${key}`;
+    if (matchId === lastRecordedMatch) return;
+    lastRecordedMatch = matchId;
+
+    chrome.storage.local.get(['ruleStats'], (result) => {
+        const ruleStats = result.ruleStats || {};
+        const stats = ruleStats[key] || {};
+        ruleStats[key] = { ...stats, hits: (stats.hits || 0) + 1, lastMatchedAt: Date.now() };
+        chrome.storage.local.set({ ruleStats: ruleStats });
+    });
+}
+
+/**
+ * Add listening time to the rule that turned audio mode on (see recordRuleMatch)
+ */
+function addRuleListeningTime(key, seconds) {
+    chrome.storage.local.get(['ruleStats'], (result) => {
+        const ruleStats = result.ruleStats || {};
+        const stats = ruleStats[key] || {};
+        ruleStats[key] = { ...stats, listeningSeconds: (stats.listeningSeconds || 0) + seconds };
+        chrome.storage.local.set({ ruleStats: ruleStats });
+    });
+}
+
+/**
+ * Short, translated explanation of a decision for the overlay hint
+ * @returns {string}
+ */
+function describeDecision(decision) {
+    if (!decision) return '';
+
+    let text;
+    if (decision.reason === 'rule' && decision.match) {
+        const { listType, ruleType, value } = decision.match;
+        text = `${t(listType)} · ${t(RULE_TYPE_LABELS[ruleType])}: ${value}`;
+    } else if (decision.reason === 'infoTimeout') {
+        text = t('reasonInfoTimeout');
+    } else if (decision.reason === 'override') {
+        return t('reasonOverride');
+    } else if (decision.reason === 'alwaysDefault') {
+        text = t('modeAlwaysOn');
+    } else {
+        text = t(decision.reason === 'modeOff' ? 'reasonModeOff' : 'reasonNoMatch');
+    }
+
+    if (decision.network) {
+        text = `${t(CONNECTION_LABELS[decision.network])} · ${text}`;
+    }
+    return decision.scheduled ? `${t('scheduleActive')} · ${text}` : text;
+}
+
+/**
+ * Enable or disable audio mode for the current video based on a rule decision
+ * @param {boolean} shouldEnable - true for audio mode, false for normal video
+ */
+function setAudioModeForVideo(shouldEnable) {
+    // Nobody is watching a hidden tab - keep audio mode until it is visible again
+    if (!shouldEnable && hiddenTabAudioActive && getActiveOverride()?.audio !== false) {
+        console.log('[Audio Mode] Tab hidden - keeping audio mode');
+        shouldEnable = true;
+    }
+
+    if (shouldEnable) {
+        if (!audioModeEnabled) {
+            console.log('[Audio Mode] Rule match - enabling');
+            enableAudioMode(true); // fromAutoRule = true, don't persist
+        } else {
+            // Already enabled but navigated to new video - re-apply quality
+            console.log('[Audio Mode] Already enabled, re-applying audio mode quality');
+            setLowestQuality();
+        }
+    } else {
+        if (audioModeEnabled) {
+            console.log('[Audio Mode] No rule match - disabling');
+            disableAudioMode(true);
+        } else {
+            // Not in audio mode - apply user's preferred quality
+            console.log('[Audio Mode] Normal video - applying preferred quality');
+            applyPreferredQuality();
         }
     }
+}
 
-    // Check keyword whitelist
-    if (videoTitle && whitelist.keywords?.length > 0) {
-        const titleLower = videoTitle.toLowerCase();
-        for (const kw of whitelist.keywords) {
-            const pattern = kw.keyword.toLowerCase();
-            if (titleLower.includes(pattern)) {
-                console.log(`[Audio Mode] Keyword match: "${kw.keyword}"`);
-                return true;
-            }
+// ===== HIDDEN TAB AUDIO =====
+
+/**
+ * Switch a hidden watch-page tab to audio mode after the grace period, and go
+ * back to what the mode and rules decided (video at the preferred quality)
+ * once it is visible again. Works on top of every mode; a "force video"
+ * override keeps video. Only the player quality and overlay change, so
+ * playback carries on from the same position.
+ */
+function onVisibilityChange() {
+    if (!document.hidden || !hiddenTabAudio) {
+        endHiddenTabAudio();
+        return;
+    }
+
+    if (hiddenTabTimeout) clearTimeout(hiddenTabTimeout);
+    hiddenTabTimeout = setTimeout(() => {
+        hiddenTabTimeout = null;
+        if (!chrome.runtime?.id || !document.hidden || !isOnVideoPage()) return;
+
+        hiddenTabAudioActive = true;
+        if (!audioModeEnabled && getActiveOverride()?.audio !== false) {
+            console.log('[Audio Mode] Tab hidden - enabling audio mode');
+            enableAudioMode(true);
         }
+    }, hiddenTabGraceSeconds * 1000);
+}
+
+/**
+ * Go back to what the mode and rules decided for the current video
+ * (a decision still pending is applied once the rules have been checked)
+ */
+function endHiddenTabAudio() {
+    if (hiddenTabTimeout) {
+        clearTimeout(hiddenTabTimeout);
+        hiddenTabTimeout = null;
     }
+    if (!hiddenTabAudioActive) return;
+    hiddenTabAudioActive = false;
 
-    return false;
+    if (audioModeEnabled && lastDecision && !lastDecision.audio && lastDecision.reason !== 'pending') {
+        console.log('[Audio Mode] Tab visible - back to video');
+        disableAudioMode(true);
+    }
+}
+
+// ===== CHANNEL PROFILES =====
+
+/**
+ * Settings for the current video's channel, if it has a profile
+ * channelProfiles in chrome.storage.sync:
+ * [{ id, name, ucid, handle, preferredQuality, audioQuality, playbackRate, volume }]
+ * Channels are matched like channel rules (matchChannelRule); a setting left
+ * out (null) keeps the global setting. volume is 0-100, like the player's.
+ * @returns {Object|null}
+ */
+function getChannelProfile() {
+    if (channelProfiles.length === 0) return null;
+
+    const videoId = new URLSearchParams(window.location.search).get('v');
+    if (channelProfileCache?.videoId !== videoId) {
+        // Only the player response is sure to be for this video - the owner
+        // link in the DOM can still be the previous video's after SPA navigation
+        const data = getPlayerResponse();
+        const channelUcid = data?.videoDetails?.channelId;
+        if (!channelUcid) return null; // Not loaded yet - try again next time
+
+        const channelHandle = parseChannelUrl(
+            data.microformat?.playerMicroformatRenderer?.ownerProfileUrl
+        ).handle;
+        channelProfileCache = { videoId, channelInfo: { channelId: channelUcid, channelUcid, channelHandle } };
+    }
+
+    return channelProfiles.find(entry => matchChannelRule(entry, channelProfileCache.channelInfo)) || null;
+}
+
+/**
+ * Set playback speed and volume, through the player when it allows it
+ */
+function setPlayback(player, video, { rate, volume }) {
+    if (player.setPlaybackRate) {
+        player.setPlaybackRate(rate);
+    } else {
+        video.playbackRate = rate;
+    }
+
+    if (player.setVolume) {
+        player.setVolume(volume);
+    } else {
+        video.volume = volume / 100;
+    }
+}
+
+/**
+ * Apply the channel profile's speed and volume once per video (so changes made
+ * in the player afterwards stick), and undo them on videos from other channels
+ */
+function applyChannelPlayback(player, video) {
+    const profile = getChannelProfile();
+    const key = `${new URLSearchParams(window.location.search).get('v')}:${profile?.id || ''}`;
+    if (key === channelPlaybackKey) return;
+    channelPlaybackKey = key;
+
+    const rate = profile?.playbackRate ?? null;
+    const volume = profile?.volume ?? null;
+
+    if (rate === null && volume === null) {
+        if (playbackBeforeChannelProfile) {
+            setPlayback(player, video, playbackBeforeChannelProfile);
+            playbackBeforeChannelProfile = null;
+        }
+        return;
+    }
+
+    if (!playbackBeforeChannelProfile) {
+        playbackBeforeChannelProfile = {
+            rate: video.playbackRate,
+            volume: player.getVolume ? player.getVolume() : Math.round(video.volume * 100)
+        };
+    }
+
+    setPlayback(player, video, {
+        rate: rate ?? playbackBeforeChannelProfile.rate,
+        volume: volume ?? playbackBeforeChannelProfile.volume
+    });
+    console.log(`[Audio Mode] Channel profile applied: ${profile.name}`, { rate, volume });
 }
 
 // ===== HELPER FUNCTIONS =====
@@ -368,7 +809,7 @@ function resetQualityAttemptFlag() {
 /**
  * Central handler for quality operations with debouncing and mutual exclusion
  * Prevents duplicate quality popup openings when multiple events trigger quality changes
- * @param {string} type - 'set' (144p) or 'restore' (user preferred)
+ * @param {string} type - 'set' (audio mode quality) or 'restore' (user preferred)
  * @param {number} debounceMs - Debounce delay (default 300ms)
  */
 function requestQualityOperation(type, debounceMs = 300) {
@@ -441,6 +882,9 @@ function cancelPendingQualityOperations() {
  */
 function extractChannelInfo() {
     try {
+        let channelId = null;
+        let channelName = null;
+
         // Method 1: DOM-based extraction (most reliable for SPA navigation)
         // Try multiple selectors for channel link
         const channelSelectors = [
@@ -453,51 +897,32 @@ function extractChannelInfo() {
         for (const selector of channelSelectors) {
             const channelLink = document.querySelector(selector);
             if (channelLink) {
-                const href = channelLink.getAttribute('href');
-                const channelName = channelLink.textContent?.trim();
-
-                // Extract channel ID from href
-                let channelId = null;
-                if (href) {
-                    // Match /channel/UCxxxxxx pattern
-                    const channelIdMatch = href.match(/\/channel\/(UC[a-zA-Z0-9_-]+)/);
-                    if (channelIdMatch) {
-                        channelId = channelIdMatch[1];
-                    } else {
-                        // Match /@username pattern - use the href as identifier
-                        const handleMatch = href.match(/\/@([^\/\?]+)/);
-                        if (handleMatch) {
-                            channelId = `@${handleMatch[1]}`;
-                        }
-                    }
-                }
+                const name = channelLink.textContent?.trim();
+                // Links are /channel/UCxxxxxx or /@username depending on the page
+                const { ucid, handle } = parseChannelUrl(channelLink.getAttribute('href'));
 
-                if (channelId && channelName) {
-                    console.log(`[Audio Mode] Channel found: ${channelName} (${channelId})`);
-                    return { channelId, channelName };
+                if ((ucid || handle) && name) {
+                    channelId = ucid || handle;
+                    channelName = name;
+                    break;
                 }
             }
         }
 
-        // Method 2: Try ytInitialPlayerResponse (embedded in page)
-        const scripts = document.querySelectorAll('script');
-        for (const script of scripts) {
-            const text = script.textContent;
-            if (text && text.includes('ytInitialPlayerResponse')) {
-                const match = text.match(/ytInitialPlayerResponse\s*=\s*(\{.+?\});/s);
-                if (match) {
-                    try {
-                        const data = JSON.parse(match[1]);
-                        const channelId = data?.videoDetails?.channelId;
-                        const channelName = data?.videoDetails?.author;
-                        if (channelId && channelName) {
-                            return { channelId, channelName };
-                        }
-                    } catch (e) {
-                        // JSON parse failed, continue
-                    }
-                }
-            }
+        // Method 2: Try the player response (embedded in page)
+        // It has the UC ID, and usually the @handle in the owner profile URL
+        const data = getPlayerResponse();
+        const channelUcid = data?.videoDetails?.channelId || null;
+        const channelHandle = parseChannelUrl(
+            data?.microformat?.playerMicroformatRenderer?.ownerProfileUrl
+        ).handle;
+
+        channelId = channelId || channelUcid;
+        channelName = channelName || data?.videoDetails?.author || null;
+
+        if (channelId && channelName) {
+            console.log(`[Audio Mode] Channel found: ${channelName} (${channelId})`);
+            return { channelId, channelName, channelUcid, channelHandle };
         }
 
         return null;
@@ -507,15 +932,154 @@ function extractChannelInfo() {
     }
 }
 
+/**
+ * Get the UC ID or @handle from a channel link
+ * @param {string} url - e.g. /channel/UCxxxxxx, /@username or http://www.youtube.com/@username
+ * @returns {Object} { ucid, handle } - null for the form not in the link
+ */
+function parseChannelUrl(url) {
+    const ucidMatch = url?.match(/\/channel\/(UC[a-zA-Z0-9_-]+)/);
+    const handleMatch = url?.match(/\/@([^\/\?#]+)/);
+
+    let handle = null;
+    if (handleMatch) {
+        try {
+            // Non-Latin handles are percent-encoded in links
+            handle = `@${decodeURIComponent(handleMatch[1])}`;
+        } catch (e) {
+            handle = `@${handleMatch[1]}`;
+        }
+    }
+
+    return { ucid: ucidMatch ? ucidMatch[1] : null, handle };
+}
+
+/**
+ * Get YouTube's player response for the current video
+ * Tries the player API first (up to date after SPA navigation),
+ * then ytInitialPlayerResponse embedded in the page (initial load only)
+ * @returns {Object|null} Player response or null if not available for this video
+ */
+function getPlayerResponse() {
+    const videoId = new URLSearchParams(window.location.search).get('v');
+
+    try {
+        const player = document.getElementById('movie_player');
+        const response = player?.getPlayerResponse?.();
+        if (response?.videoDetails?.videoId === videoId) {
+            return response;
+        }
+    } catch (e) {
+        // Player API not available, continue
+    }
+
+    const scripts = document.querySelectorAll('script');
+    for (const script of scripts) {
+        const text = script.textContent;
+        if (text && text.includes('ytInitialPlayerResponse')) {
+            const match = text.match(/ytInitialPlayerResponse\s*=\s*(\{.+?\});/s);
+            if (match) {
+                try {
+                    const data = JSON.parse(match[1]);
+                    // Embedded response goes stale after SPA navigation
+                    if (data?.videoDetails?.videoId === videoId) {
+                        return data;
+                    }
+                } catch (e) {
+                    // JSON parse failed, continue
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Extract description, tags, category and duration for the current video
+ * Uses the player response when available, DOM/meta tags otherwise
+ * @returns {Object} { description, tags, category, durationSeconds }
+ */
+function extractVideoMetadata() {
+    const playerResponse = getPlayerResponse();
+    const details = playerResponse?.videoDetails;
+    const microformat = playerResponse?.microformat?.playerMicroformatRenderer;
+
+    // Description
+    let description = details?.shortDescription || '';
+    if (!description) {
+        const descriptionEl = document.querySelector('ytd-watch-metadata #description-inline-expander') ||
+            document.querySelector('#description yt-formatted-string');
+        description = descriptionEl?.textContent?.trim() ||
+            document.querySelector('meta[name="description"]')?.getAttribute('content') || '';
+    }
+
+    // Tags: uploader keywords + hashtags (stored without the leading #)
+    const tags = new Set();
+    const keywords = details?.keywords ||
+        (document.querySelector('meta[name="keywords"]')?.getAttribute('content') || '').split(',');
+    keywords.forEach(tag => {
+        if (tag?.trim()) tags.add(tag.trim());
+    });
+    document.querySelectorAll('ytd-watch-metadata #super-title a, #info .super-title a').forEach(link => {
+        const tag = link.textContent?.trim().replace(/^#/, '');
+        if (tag) tags.add(tag);
+    });
+    (description.match(/#[\p{L}\p{N}_]+/gu) || []).forEach(tag => tags.add(tag.slice(1)));
+
+    // Category (e.g. "Music", "Education")
+    const category = microformat?.category ||
+        document.querySelector('meta[itemprop="genre"]')?.getAttribute('content') || null;
+
+    // Duration in seconds
+    let durationSeconds = parseInt(details?.lengthSeconds || microformat?.lengthSeconds, 10);
+    if (!durationSeconds) {
+        const video = getVideoElement();
+        const player = document.getElementById('movie_player');
+        const adShowing = player?.classList.contains('ad-showing');
+        if (video && !adShowing && Number.isFinite(video.duration) && video.duration > 0) {
+            durationSeconds = Math.round(video.duration);
+        }
+    }
+
+    return {
+        description,
+        tags: Array.from(tags),
+        category,
+        durationSeconds: durationSeconds || null
+    };
+}
+
+/**
+ * Extract the playlist title from the playlist panel next to the player
+ * @returns {string|null}
+ */
+function extractPlaylistTitle() {
+    const titleSelectors = [
+        'ytd-playlist-panel-renderer #header-description h3 a',
+        'ytd-playlist-panel-renderer .title',
+        '#playlist .title'
+    ];
+    for (const selector of titleSelectors) {
+        const el = document.querySelector(selector);
+        if (el?.textContent?.trim()) {
+            return el.textContent.trim();
+        }
+    }
+    return null;
+}
+
 /**
  * Extract current video information from YouTube page
  * @returns {Object|null} Video info object or null if not available
  */
 function getCurrentVideoInfo() {
     try {
-        // Get video ID from URL
-        const videoId = new URLSearchParams(window.location.search).get('v');
+        // Get video and playlist IDs from URL
+        const urlParams = new URLSearchParams(window.location.search);
+        const videoId = urlParams.get('v');
         if (!videoId) return null;
+        const playlistId = urlParams.get('list');
 
         // Get video title - try multiple sources for SPA navigation compatibility
         let videoTitle = '';
@@ -552,11 +1116,23 @@ function getCurrentVideoInfo() {
         // Get channel info
         const channelInfo = extractChannelInfo();
 
+        // Get description, tags, category and duration
+        const metadata = extractVideoMetadata();
+
         return {
             videoId,
             videoTitle,
+            playlistId: playlistId || null,
+            playlistTitle: playlistId ? extractPlaylistTitle() : null,
             channelId: channelInfo?.channelId || null,
-            channelName: channelInfo?.channelName || null
+            channelName: channelInfo?.channelName || null,
+            // Both forms from the player response, so rules saved with either one match
+            channelUcid: channelInfo?.channelUcid || null,
+            channelHandle: channelInfo?.channelHandle || null,
+            description: metadata.description,
+            tags: metadata.tags,
+            category: metadata.category,
+            durationSeconds: metadata.durationSeconds
         };
     } catch (error) {
         console.error('[Audio Mode] Error extracting video info:', error);
@@ -564,19 +1140,57 @@ function getCurrentVideoInfo() {
     }
 }
 
+/**
+ * Current video info for records made every few seconds while it plays
+ * Looked up once per video: kept as soon as the title and channel are on the page
+ * @returns {Object|null} Same as getCurrentVideoInfo()
+ */
+function getListeningVideoInfo() {
+    const videoId = new URLSearchParams(window.location.search).get('v');
+    if (listeningVideoInfo?.videoId === videoId) return listeningVideoInfo;
+
+    const info = getCurrentVideoInfo();
+    if (info?.videoTitle && info.channelId) {
+        listeningVideoInfo = info;
+    }
+    return info;
+}
+
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     if (request.action === 'modeChanged') {
         // Mode was changed in popup
-        currentModeType = request.mode;
+        baseModeType = request.mode;
         lastAppliedVideoId = null; // Force re-evaluation
         applyModeLogic().then(() => {
             sendResponse({ success: true });
         });
         return true; // Keep channel open for async
+    } else if (request.action === 'scheduleBoundary') {
+        // A schedule window started or ended (alarm from background)
+        if (updateEffectiveMode()) {
+            lastAppliedVideoId = null;
+            applyModeLogic();
+        }
     } else if (request.action === 'getStatus') {
-        sendResponse({ enabled: audioModeEnabled, mode: currentModeType });
+        sendResponse({ enabled: audioModeEnabled, mode: currentModeType, baseMode: baseModeType, override: getActiveOverride() });
+    } else if (request.action === 'setOverride') {
+        // Override set or cleared in the popup
+        setOverride(request.override);
+        lastAppliedVideoId = null;
+        applyModeLogic().then(() => {
+            sendResponse(lastDecision);
+        });
+        return true; // Keep channel open for async
+    } else if (request.action === 'toggleAudioMode') {
+        // Keyboard shortcut: flip audio/video for this video only
+        setOverride({ audio: !audioModeEnabled, scope: 'video' });
+        lastAppliedVideoId = null;
+        applyModeLogic().then(() => {
+            sendResponse({ success: true, enabled: audioModeEnabled });
+        });
+        return true; // Keep channel open for async
     } else if (request.action === 'updateTheme') {
         updateOverlayTheme(request.backgroundType, request.backgroundValue);
     } else if (request.action === 'updateLanguage') {
@@ -589,6 +1203,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true; // Keep message channel open for async response
     } else if (request.action === 'getVideoInfo') {
         sendResponse(getCurrentVideoInfo());
+    } else if (request.action === 'getDecision') {
+        // Only report decisions for the video currently shown
+        const currentVideoId = new URLSearchParams(window.location.search).get('v');
+        sendResponse(lastDecision?.videoId === currentVideoId ? lastDecision : null);
     }
     return true;
 });
@@ -596,16 +1214,81 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 // Listen for storage changes to re-apply mode logic
 chrome.storage.onChanged.addListener((changes, namespace) => {
     if (namespace === 'sync') {
-        if (changes.audioModeType) {
-            // Mode type changed
-            currentModeType = changes.audioModeType.newValue || 'always';
+        if (changes.audioModeType || changes.schedules || changes.networkAware) {
+            // Mode type, schedules or the network-aware setting changed
+            if (changes.audioModeType) {
+                baseModeType = changes.audioModeType.newValue || 'always';
+            }
+            if (changes.schedules) {
+                scheduleRules = changes.schedules.newValue || [];
+            }
+            if (changes.networkAware) {
+                networkAware = !!changes.networkAware.newValue;
+            }
             lastAppliedVideoId = null;
             applyModeLogic();
-        } else if (changes.filterRules && currentModeType === 'filtered') {
-            // Filter rules changed while in filtered mode
+        } else if (changes.filterRules && currentModeType !== 'off') {
+            // Filter rules changed while in a rule-based mode
             lastAppliedVideoId = null;
             applyFilteredMode();
         }
+
+        if (changes.hiddenTabAudio || changes.hiddenTabGraceSeconds) {
+            if (changes.hiddenTabAudio) {
+                hiddenTabAudio = !!changes.hiddenTabAudio.newValue;
+            }
+            if (changes.hiddenTabGraceSeconds) {
+                hiddenTabGraceSeconds = changes.hiddenTabGraceSeconds.newValue ?? HIDDEN_TAB_GRACE_SECONDS;
+            }
+            // Restarts the grace period in a hidden tab, or restores video if turned off
+            if (!hiddenTabAudioActive || !hiddenTabAudio) {
+                onVisibilityChange();
+            }
+        }
+
+        if (changes.historyEnabled) {
+            historyEnabled = !!changes.historyEnabled.newValue;
+            historySession = null;
+        }
+        if (changes.historyRetentionDays) {
+            historyRetentionDays = getHistoryRetentionDays(changes.historyRetentionDays.newValue);
+        }
+
+        if (changes.audioQuality) {
+            audioQualitySetting = changes.audioQuality.newValue || 'lowest';
+            if (audioModeEnabled) {
+                // Apply the new target now, including the UI fallback if the API is ignored
+                const player = document.getElementById('movie_player');
+                if (player) player.__audioModeQualityAttempted = false;
+                setLowestQuality();
+            }
+        }
+
+        if (changes.channelProfiles) {
+            channelProfiles = changes.channelProfiles.newValue || [];
+            channelPlaybackKey = null;
+            // Apply the channel's settings to the current video
+            if (isOnVideoPage()) {
+                resetQualityAttemptFlag();
+                if (audioModeEnabled) {
+                    setLowestQuality();
+                } else {
+                    applyPreferredQuality();
+                }
+            }
+        }
+
+        if (changes.backgroundType || changes.backgroundValue) {
+            // Theme changed (e.g. profile switch) - update the overlay in every tab
+            chrome.storage.sync.get(['backgroundType', 'backgroundValue'], (result) => {
+                updateOverlayTheme(result.backgroundType, result.backgroundValue);
+            });
+        }
+    } else if (namespace === 'local' && changes.activeProfileId) {
+        // Profile switched: its settings are all saved by now, re-apply once with them
+        console.log('[Audio Mode] Profile switched, re-applying mode');
+        lastAppliedVideoId = null;
+        applyModeLogic();
     }
 });
 
@@ -624,15 +1307,14 @@ async function enableAudioMode(fromAutoRule = false) {
     }
 
     // Save current quality before changing (to restore later)
-    // Only save if NOT already in audio mode quality (tiny/small)
+    // Only save if NOT already in audio mode quality
     const player = document.getElementById('movie_player');
     if (player && player.getPlaybackQuality) {
         const currentQuality = player.getPlaybackQuality();
-        // Only save if it's a real quality (not audio mode's 144p/240p)
-        if (currentQuality !== 'tiny' && currentQuality !== 'small') {
+        // Only save if it's a real quality (not one audio mode sets)
+        // Kept for this page only - the preferred quality setting is the user's choice
+        if (!isAudioModeQuality(currentQuality, player)) {
             savedQualityBeforeAudioMode = currentQuality;
-            // Persist to storage so it survives page reloads
-            chrome.storage.sync.set({ preferredQuality: currentQuality });
             console.log('[Audio Mode] Saved quality:', savedQualityBeforeAudioMode);
         }
     }
@@ -681,6 +1363,9 @@ async function enableAudioMode(fromAutoRule = false) {
 
     // Start tracking usage for data saved stats
     startUsageTracking();
+
+    // Re-apply the audio mode quality whenever YouTube changes it
+    startQualityEnforcement();
 }
 
 function disableAudioMode(fromAutoRule = false) {
@@ -736,11 +1421,8 @@ function disableAudioMode(fromAutoRule = false) {
         }
     }
 
-    // Clear quality check interval
-    if (qualityCheckInterval) {
-        clearInterval(qualityCheckInterval);
-        qualityCheckInterval = null;
-    }
+    // Stop listening for quality changes
+    stopQualityEnforcement();
 
     // Stop tracking usage
     stopUsageTracking();
@@ -832,19 +1514,17 @@ const clickQualitySetting = (video, targetText = '144p', onComplete = null) => {
                         if (targetOption) {
                             targetOption.click();
                         } else {
-                            if (targetText === '144p') {
-                                const allQualities = document.querySelectorAll('.ytp-menuitem');
-                                if (allQualities.length > 0) {
-                                    allQualities[allQualities.length - 1].click();
-                                }
-                            }
                             // If we were looking for 720p (restore), maybe try Auto?
-                            else if (targetText === '720p') {
+                            if (targetText === '720p') {
                                 const autoOption = menuItems.find(item => item.textContent.includes('Auto'));
                                 if (autoOption) {
                                     autoOption.click();
                                 }
                             }
+                            // Audio mode target not listed: nearest lower resolution, else the lowest
+                            else {
+                                findClosestQualityItem(menuItems, targetText)?.click();
+                            }
                         }
 
                         // Close and cleanup
@@ -900,7 +1580,60 @@ const clickQualitySetting = (video, targetText = '144p', onComplete = null) => {
 };
 
 /**
- * Function to force set quality to 144p using multiple methods
+ * Pick a menu item for a resolution that isn't listed: the nearest lower resolution,
+ * or the lowest one if all are higher
+ * @param {Array<HTMLElement>} menuItems - Items of the player's quality menu
+ * @param {string} targetText - e.g. '144p'
+ * @returns {HTMLElement|null}
+ */
+function findClosestQualityItem(menuItems, targetText) {
+    const target = parseInt(targetText, 10);
+    if (isNaN(target)) return null;
+
+    const resolutions = menuItems
+        .map(item => ({ item, height: parseInt(item.textContent.match(/(\d+)p/)?.[1], 10) }))
+        .filter(entry => !isNaN(entry.height))
+        .sort((a, b) => a.height - b.height);
+
+    if (resolutions.length === 0) return null;
+    const lower = resolutions.filter(entry => entry.height <= target);
+    return (lower.length > 0 ? lower[lower.length - 1] : resolutions[0]).item;
+}
+
+/**
+ * Resolve the audio mode quality setting (or the channel profile's) against the levels this video has
+ * - 'lowest': the lowest level available
+ * - a level: that level, or the nearest lower one, or the lowest if all are higher
+ * @param {HTMLElement} player - The YouTube player element
+ * @returns {string} Quality level, e.g. 'tiny'
+ */
+function resolveAudioQualityTarget(player) {
+    const availableLevels = (player?.getAvailableQualityLevels ? player.getAvailableQualityLevels() : [])
+        .filter(level => QUALITY_LEVELS.includes(level))
+        .sort((a, b) => QUALITY_LEVELS.indexOf(a) - QUALITY_LEVELS.indexOf(b));
+    const requested = getChannelProfile()?.audioQuality || audioQualitySetting;
+    const setting = QUALITY_LEVELS.includes(requested) ? requested : null;
+
+    if (availableLevels.length === 0) {
+        return setting || QUALITY.TARGET;
+    }
+    if (!setting) {
+        return availableLevels[0];
+    }
+
+    const lower = availableLevels.filter(level => QUALITY_LEVELS.indexOf(level) <= QUALITY_LEVELS.indexOf(setting));
+    return lower.length > 0 ? lower[lower.length - 1] : availableLevels[0];
+}
+
+/**
+ * Check if a quality is one audio mode sets (so it isn't saved or restored as the user's quality)
+ */
+function isAudioModeQuality(quality, player) {
+    return quality === 'tiny' || quality === 'small' || quality === resolveAudioQualityTarget(player);
+}
+
+/**
+ * Function to force the audio mode quality (see resolveAudioQualityTarget) using multiple methods
  * @param {HTMLElement} player - The YouTube player element
  * @param {HTMLVideoElement} video - The video element
  * @param {Function} onComplete - Optional callback when operation completes
@@ -911,33 +1644,34 @@ const forceLowestQuality = (player, video, onComplete = null) => {
         const wasPlaying = !video.paused;
         const currentTime = video.currentTime;
 
-        // Method 1: Try the standard API methods
-        const availableLevels = player.getAvailableQualityLevels ? player.getAvailableQualityLevels() : [];
+        applyChannelPlayback(player, video);
+
+        // Resolved once, so the API calls and the UI fallback aim at the same level
+        const target = resolveAudioQualityTarget(player);
 
+        // Method 1: Try the standard API methods
         if (player.setPlaybackQuality) {
-            player.setPlaybackQuality('tiny');
+            player.setPlaybackQuality(target);
         }
 
         if (player.setPlaybackQualityRange) {
-            // Clear any potential previous locks first?
-            // player.setPlaybackQualityRange('auto', 'auto');
-            // Lock to tiny
-            player.setPlaybackQualityRange('tiny', 'tiny');
+            // Lock to the target
+            player.setPlaybackQualityRange(target, target);
         }
 
         // Method 2: Try using internal YouTube methods
         if (typeof player.setInternalQuality === 'function') {
-            player.setInternalQuality('tiny');
+            player.setInternalQuality(target);
         }
 
         // Method 3: Directly set the quality using YouTube's internal state
         if (player.playerInfo && player.playerInfo.setPlaybackQuality) {
-            player.playerInfo.setPlaybackQuality('tiny');
+            player.playerInfo.setPlaybackQuality(target);
         }
 
         // Method 4: Disable auto quality by forcing preference
         if (player.setPreferredQuality) {
-            player.setPreferredQuality('tiny');
+            player.setPreferredQuality(target);
         }
 
         // Wait a moment for quality to be applied
@@ -948,12 +1682,12 @@ const forceLowestQuality = (player, video, onComplete = null) => {
             // Only use UI interaction if API methods completely failed AND this is the first attempt
             // Don't do UI interaction during periodic checks to avoid interrupting playback
             const isFirstAttempt = !player.__audioModeQualityAttempted;
-            if (currentQuality !== 'tiny' && currentQuality !== 'small') {
+            if (currentQuality !== target) {
                 if (isFirstAttempt) {
                     console.log('[Audio Mode] API methods failed on first attempt, will try UI interaction...');
                     player.__audioModeQualityAttempted = true;
                     // Use the generalized click function, pass onComplete callback
-                    clickQualitySetting(video, '144p', onComplete);
+                    clickQualitySetting(video, QUALITY_TEXT[target], onComplete);
                 } else {
                     // Not first attempt, skip UI interaction
                     onComplete?.();
@@ -1008,31 +1742,19 @@ const restoreQualityInternal = (onComplete = null, attempts = 3) => {
         try {
             const availableLevels = player.getAvailableQualityLevels ? player.getAvailableQualityLevels() : [];
 
-            // Map quality codes to UI text for click fallback
-            const qualityToText = {
-                'hd2160': '2160p',
-                'hd1440': '1440p',
-                'hd1080': '1080p',
-                'hd720': '720p',
-                'large': '480p',
-                'medium': '360p',
-                'small': '240p',
-                'tiny': '144p',
-                'auto': 'Auto'
-            };
-
-            // Use saved quality from session, then stored preference, then 720p
-            // NEVER restore to audio mode qualities (tiny/small)
-            let target = savedQualityBeforeAudioMode;
-            if (!target || target === 'tiny' || target === 'small') {
+            // Use the channel profile's quality, then saved quality from session,
+            // then stored preference, then 720p
+            // NEVER restore to the audio mode quality
+            let target = getChannelProfile()?.preferredQuality || savedQualityBeforeAudioMode;
+            if (!target || isAudioModeQuality(target, player)) {
                 // Fall back to stored preference (last quality user used)
                 target = result.preferredQuality;
             }
-            if (!target || target === 'tiny' || target === 'small') {
+            if (!target || isAudioModeQuality(target, player)) {
                 // Last resort: 720p
                 target = QUALITY.RESTORE;
             }
-            let uiTargetText = qualityToText[target] || '720p';
+            let uiTargetText = QUALITY_TEXT[target] || '720p';
 
             console.log('[Audio Mode] Restoring quality to:', target);
 
@@ -1092,9 +1814,7 @@ const restoreQualityInternal = (onComplete = null, attempts = 3) => {
 function startUsageTracking() {
     if (usageTrackingInterval) return;
 
-    let qualityCheckCounter = 0;
-
-    // Consolidated monitoring interval (runs every 5 seconds)
+    // Usage statistics interval (runs every 5 seconds)
     usageTrackingInterval = setInterval(() => {
         // Safety check: Stop if extension context is invalidated (e.g. after update/reload)
         if (!chrome.runtime?.id) {
@@ -1111,6 +1831,12 @@ function startUsageTracking() {
 
         if (!chrome.storage || !chrome.storage.local) return;
 
+        // Rule that turned audio mode on for this video (gets the listening time)
+        const ruleKey = lastDecision?.reason === 'rule' ? lastDecision.match?.key : null;
+
+        // Listening history is opt-in, and never kept for incognito windows
+        const recordHistory = historyEnabled && !chrome.extension?.inIncognitoContext;
+
         // TRACK 1: Usage statistics (every cycle)
         chrome.storage.local.get(['statsLogs', 'activeLogs'], (result) => {
             const statsLogs = result.statsLogs || {};
@@ -1130,19 +1856,27 @@ function startUsageTracking() {
                 statsLogs[today] += 5;
             }
 
-            // Save back
-            chrome.storage.local.set({
+            const updates = {
                 statsLogs: statsLogs,
                 activeLogs: activeLogs
-            });
+            };
+
+            // TRACK Listening time per rule (saved on its own, like rule matches)
+            if (isPlaying && ruleKey) {
+                addRuleListeningTime(ruleKey, 5);
+            }
+
+            // TRACK Listening history entry for this video (saved on its own, see history.js)
+            if (isPlaying && recordHistory) {
+                updateListeningHistory(entries => addListeningHistory(entries, 5));
+            }
+
+            // Save back
+            chrome.storage.local.set(updates);
         });
 
-        // TRACK 2: Quality enforcement (every other cycle to reduce overhead)
-        qualityCheckCounter++;
-        if (qualityCheckCounter >= 2) {
-            qualityCheckCounter = 0;
-            checkAndEnforceQuality();
-        }
+        // TRACK Media bytes downloaded since the last cycle (days without an entry only have estimates)
+        flushMediaBytes();
     }, TIMING.USAGE_TRACKING_INTERVAL);
 }
 
@@ -1151,6 +1885,216 @@ function stopUsageTracking() {
         clearInterval(usageTrackingInterval);
         usageTrackingInterval = null;
     }
+    // Bytes measured since the last cycle belong to this session and day
+    flushMediaBytes();
+    // The next audio mode session starts a new history entry
+    historySession = null;
+}
+
+/**
+ * Save audio mode bytes not yet added to bytesLogs (every usage tracking cycle, and when
+ * audio mode stops). The only writer of bytesLogs: one write at a time, and bytes
+ * measured during a write are saved right after it.
+ */
+function flushMediaBytes() {
+    if (pendingMediaBytes === null || mediaBytesFlushing) return;
+    if (!chrome.runtime?.id) {
+        pendingMediaBytes = null;
+        return;
+    }
+
+    mediaBytesFlushing = true;
+    chrome.storage.local.get(['bytesLogs'], (result) => {
+        const bytes = pendingMediaBytes || 0;
+        pendingMediaBytes = null;
+
+        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+        const bytesLogs = result.bytesLogs || {};
+        bytesLogs[today] = (bytesLogs[today] || 0) + bytes;
+        chrome.storage.local.set({ bytesLogs: bytesLogs }, () => {
+            mediaBytesFlushing = false;
+            flushMediaBytes();
+        });
+    });
+}
+
+/**
+ * Add listening time to the current video's history entry, starting a new entry
+ * for another video, a new audio mode session or an entry deleted meanwhile
+ * @param {Array} entries - listeningHistory (see history.js)
+ * @returns {Array} Updated entries, pruned to the retention limit
+ */
+function addListeningHistory(entries, seconds) {
+    const videoId = new URLSearchParams(window.location.search).get('v');
+    const info = getListeningVideoInfo();
+
+    let entry = historySession?.videoId === videoId
+        ? entries.find(item => item.id === historySession.id)
+        : null;
+
+    if (!entry) {
+        entry = {
+            id: `${Date.now().toString(36)}-${videoId}`,
+            videoId: videoId,
+            title: '',
+            channel: '',
+            startedAt: Date.now() - seconds * 1000,
+            seconds: 0
+        };
+        entries.unshift(entry);
+        historySession = { id: entry.id, videoId };
+    }
+
+    // The title and channel may not be on the page yet when the entry starts
+    entry.title = entry.title || info?.videoTitle || '';
+    entry.channel = entry.channel || info?.channelName || '';
+    entry.seconds += seconds;
+
+    return pruneListeningHistory(entries, historyRetentionDays);
+}
+
+/**
+ * Measure media bytes the player downloads, from the resource timing entries of
+ * its segment requests. Audio mode bytes are saved by usage tracking (bytesLogs),
+ * the rest counts toward the data budget (videoBytesLogs, see budget.js).
+ * - transferSize is what went over the network (0 for segments served from cache)
+ * - both sizes are 0 when the server hides them; those segments aren't counted
+ */
+function startMediaBytesTracking() {
+    if (mediaBytesObserver || typeof PerformanceObserver === 'undefined') return;
+
+    mediaBytesObserver = new PerformanceObserver((list) => {
+        list.getEntries().forEach(entry => {
+            if (!MEDIA_SEGMENT_URL_PATTERN.test(entry.name)) return;
+            if (!entry.transferSize && !entry.encodedBodySize) return;
+
+            // Only while usage tracking runs - it saves them with this session's stats
+            if (audioModeEnabled && usageTrackingInterval) {
+                pendingMediaBytes = (pendingMediaBytes || 0) + entry.transferSize;
+            } else {
+                pendingVideoBytes += entry.transferSize;
+                scheduleVideoBytesFlush();
+            }
+        });
+    });
+
+    try {
+        mediaBytesObserver.observe({ type: 'resource' });
+    } catch (error) {
+        console.log('[Audio Mode] Resource timing not available, data usage will be estimated:', error);
+        mediaBytesObserver = null;
+    }
+}
+
+function stopMediaBytesTracking() {
+    if (mediaBytesObserver) {
+        mediaBytesObserver.disconnect();
+        mediaBytesObserver = null;
+    }
+    if (videoBytesFlushTimeout) {
+        clearTimeout(videoBytesFlushTimeout);
+        videoBytesFlushTimeout = null;
+    }
+}
+
+/**
+ * Save bytes downloaded with audio mode off, at most once per tracking interval
+ */
+function scheduleVideoBytesFlush() {
+    if (videoBytesFlushTimeout) return;
+
+    videoBytesFlushTimeout = setTimeout(() => {
+        videoBytesFlushTimeout = null;
+        if (!chrome.runtime?.id || pendingVideoBytes === 0) return;
+
+        const bytes = pendingVideoBytes;
+        pendingVideoBytes = 0;
+        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+
+        chrome.storage.local.get(['videoBytesLogs'], (result) => {
+            const videoBytesLogs = result.videoBytesLogs || {};
+            videoBytesLogs[today] = (videoBytesLogs[today] || 0) + bytes;
+            chrome.storage.local.set({ videoBytesLogs: videoBytesLogs });
+        });
+    }, TIMING.USAGE_TRACKING_INTERVAL);
+}
+
+// ===== CHANNEL SUGGESTIONS =====
+
+/**
+ * Add to the current channel's listening signals (used by the popup to suggest whitelist channels)
+ * channelListening in chrome.storage.local:
+ * { [channelKey]: { id, name, ucid, handle, backgroundSeconds, backgroundVideos, manualAudio, lastListenedAt, dismissed } }
+ * @param {Object} counts - Amounts to add, e.g. { manualAudio: 1 }
+ */
+function recordChannelListening(counts) {
+    if (!chrome.runtime?.id) return;
+
+    const info = getListeningVideoInfo();
+    const key = getChannelKeys(info?.channelUcid, info?.channelHandle, info?.channelId)[0];
+    if (!key) return;
+
+    chrome.storage.local.get(['channelListening'], (result) => {
+        const channelListening = result.channelListening || {};
+        const entry = { ...channelListening[key] };
+
+        Object.entries(counts).forEach(([name, amount]) => {
+            entry[name] = (entry[name] || 0) + amount;
+        });
+        channelListening[key] = {
+            ...entry,
+            id: info.channelId || entry.id || key,
+            name: info.channelName || entry.name || key,
+            ucid: info.channelUcid || entry.ucid || null,
+            handle: info.channelHandle || entry.handle || null,
+            lastListenedAt: Date.now()
+        };
+
+        // Forget the channels listened to least recently
+        const keys = Object.keys(channelListening);
+        if (keys.length > CHANNEL_LISTENING_MAX_ENTRIES) {
+            keys.sort((a, b) => (channelListening[a].lastListenedAt || 0) - (channelListening[b].lastListenedAt || 0))
+                .slice(0, keys.length - CHANNEL_LISTENING_MAX_ENTRIES)
+                .forEach(oldKey => delete channelListening[oldKey]);
+        }
+
+        chrome.storage.local.set({ channelListening: channelListening });
+    });
+}
+
+/**
+ * Count playback while the tab is in the background, in every mode
+ * (a video nobody is watching is what audio mode is for)
+ */
+function startBackgroundListeningCheck() {
+    if (backgroundListeningInterval) return;
+
+    backgroundListeningInterval = setInterval(() => {
+        if (!chrome.runtime?.id) {
+            clearInterval(backgroundListeningInterval);
+            backgroundListeningInterval = null;
+            return;
+        }
+
+        const video = getVideoElement();
+        if (!document.hidden || !isOnVideoPage() || !video || video.paused || video.ended) return;
+
+        const videoId = new URLSearchParams(window.location.search).get('v');
+        if (backgroundListening?.videoId !== videoId) {
+            backgroundListening = { videoId, seconds: 0, counted: false };
+        }
+        backgroundListening.seconds += TIMING.USAGE_TRACKING_INTERVAL / 1000;
+
+        // A video counts once it has played long enough in the background
+        const countVideo = !backgroundListening.counted &&
+            backgroundListening.seconds >= BACKGROUND_LISTENING_VIDEO_SECONDS;
+        if (countVideo) backgroundListening.counted = true;
+
+        recordChannelListening({
+            backgroundSeconds: TIMING.USAGE_TRACKING_INTERVAL / 1000,
+            backgroundVideos: countVideo ? 1 : 0
+        });
+    }, TIMING.USAGE_TRACKING_INTERVAL);
 }
 
 /**
@@ -1166,13 +2110,94 @@ function checkAndEnforceQuality() {
 
     const currentQuality = player.getPlaybackQuality ? player.getPlaybackQuality() : null;
 
-    if (currentQuality && currentQuality !== QUALITY.TARGET && currentQuality !== QUALITY.FALLBACK) {
+    if (currentQuality && currentQuality !== resolveAudioQualityTarget(player)) {
         forceLowestQuality(player, getVideoElement());
     }
 }
 
+// Player and video events that can mean the quality changed
+const onQualityEvent = () => requestQualityCheck();
+const onPlayerStateChange = (state) => {
+    if (state === 1) requestQualityCheck(); // Playing
+};
+
+/**
+ * Check the quality shortly after an event (a quality switch fires several at once)
+ */
+function requestQualityCheck() {
+    if (qualityCheckTimeout) return;
+
+    qualityCheckTimeout = setTimeout(() => {
+        qualityCheckTimeout = null;
+        if (chrome.runtime?.id) checkAndEnforceQuality();
+    }, TIMING.QUALITY_CHECK_DEBOUNCE);
+}
+
+/**
+ * Enforce the audio mode quality as soon as it changes instead of polling:
+ * - the video's 'resize' event fires when a new rendition starts (e.g. ABR upscaled)
+ * - the player's onPlaybackQualityChange and onStateChange events, when it exposes them
+ * A slow watchdog covers anything the events miss.
+ * Safe to call again: listeners move to the current player and video after navigation.
+ */
+function startQualityEnforcement() {
+    const video = getVideoElement();
+    const player = document.getElementById('movie_player');
+
+    if (video !== qualityEventVideo) {
+        qualityEventVideo?.removeEventListener('resize', onQualityEvent);
+        qualityEventVideo?.removeEventListener('playing', onQualityEvent);
+        video?.addEventListener('resize', onQualityEvent);
+        video?.addEventListener('playing', onQualityEvent);
+        qualityEventVideo = video;
+    }
+
+    if (player !== qualityEventPlayer) {
+        if (qualityEventPlayer?.removeEventListener) {
+            qualityEventPlayer.removeEventListener('onPlaybackQualityChange', onQualityEvent);
+            qualityEventPlayer.removeEventListener('onStateChange', onPlayerStateChange);
+        }
+        if (player?.addEventListener) {
+            player.addEventListener('onPlaybackQualityChange', onQualityEvent);
+            player.addEventListener('onStateChange', onPlayerStateChange);
+        }
+        qualityEventPlayer = player;
+    }
+
+    if (!qualityCheckInterval) {
+        qualityCheckInterval = setInterval(() => {
+            if (!chrome.runtime?.id) {
+                stopQualityEnforcement();
+                return;
+            }
+            checkAndEnforceQuality();
+        }, TIMING.QUALITY_CHECK_INTERVAL);
+    }
+}
+
+function stopQualityEnforcement() {
+    qualityEventVideo?.removeEventListener('resize', onQualityEvent);
+    qualityEventVideo?.removeEventListener('playing', onQualityEvent);
+    qualityEventVideo = null;
+
+    if (qualityEventPlayer?.removeEventListener) {
+        qualityEventPlayer.removeEventListener('onPlaybackQualityChange', onQualityEvent);
+        qualityEventPlayer.removeEventListener('onStateChange', onPlayerStateChange);
+    }
+    qualityEventPlayer = null;
+
+    if (qualityCheckTimeout) {
+        clearTimeout(qualityCheckTimeout);
+        qualityCheckTimeout = null;
+    }
+    if (qualityCheckInterval) {
+        clearInterval(qualityCheckInterval);
+        qualityCheckInterval = null;
+    }
+}
+
 /**
- * Set quality to 144p (public API)
+ * Set the audio mode quality (public API)
  * Uses the central quality operation handler to prevent duplicate popups
  */
 function setLowestQuality() {
@@ -1180,7 +2205,7 @@ function setLowestQuality() {
 }
 
 /**
- * Internal: Set quality to 144p
+ * Internal: Set the audio mode quality
  * @param {Function} onComplete - Callback when operation completes
  */
 function setLowestQualityInternal(onComplete = null) {
@@ -1192,6 +2217,11 @@ function setLowestQualityInternal(onComplete = null) {
         return;
     }
 
+    // Keep watching the current player and video for quality changes
+    if (audioModeEnabled) {
+        startQualityEnforcement();
+    }
+
     // Use the global function with completion callback
     forceLowestQuality(player, video, onComplete);
 }
@@ -1225,6 +2255,7 @@ async function createAudioModeOverlay() {
         <span class="bar"></span>
         <span class="bar"></span>
       </div>
+      <p id="am-overlay-reason" class="audio-mode-reason"></p>
     </div >
         `;
 
@@ -1244,6 +2275,9 @@ async function createAudioModeOverlay() {
         audioModeOverlay.setAttribute('dir', 'rtl');
     }
 
+    // Show why audio mode is active
+    updateOverlayReason();
+
     // Apply saved theme
     // Safety check: Stop if extension context is invalidated
     if (chrome.runtime?.id) {
@@ -1311,6 +2345,7 @@ async function updateOverlayLanguage() {
 
         if (title) title.textContent = t('activeTitle');
         if (desc) desc.textContent = t('activeDesc');
+        updateOverlayReason();
 
         // Update RTL direction
         if (currentLanguage === 'ar') {
@@ -1321,6 +2356,21 @@ async function updateOverlayLanguage() {
     }
 }
 
+/**
+ * Update the small "why" hint on the overlay from the latest decision
+ */
+function updateOverlayReason() {
+    const reason = audioModeOverlay?.querySelector('#am-overlay-reason');
+    if (!reason) return;
+
+    // Only explain decisions that belong to the current video
+    const currentVideoId = new URLSearchParams(window.location.search).get('v');
+    const decision = lastDecision?.videoId === currentVideoId && lastDecision.reason !== 'pending'
+        ? lastDecision
+        : null;
+    reason.textContent = describeDecision(decision);
+}
+
 // Handle YouTube's SPA navigation with optimized MutationObserver
 let lastUrl = location.href;
 let navigationObserver = null;
@@ -1416,28 +2466,19 @@ function setupVideoReadyListener() {
         }
 
         // Re-apply mode logic after video loads
-        if (currentModeType === 'off') {
-            // Off mode - apply preferred quality
-            if (audioModeEnabled) {
-                disableAudioMode(true);
-            } else {
-                applyPreferredQuality();
-            }
-        } else if (currentModeType === 'filtered') {
-            // Filtered mode - ALWAYS re-check filter rules on video change
+        if (applyOverride()) {
+            // Temporary override decides (see setOverride)
+        } else if (currentModeType === 'off') {
+            // Off mode - apply preferred quality (a hidden tab keeps audio mode)
+            applyDecision(createDecision(false, 'modeOff'));
+        } else {
+            // Always On / Filtered mode - ALWAYS re-check filter rules on video change
             // This handles playlist navigation where videos have different filter matches
             if (videoIdChanged || !audioModeEnabled) {
                 applyFilteredMode();
             } else {
                 setLowestQuality();
             }
-        } else if (currentModeType === 'always') {
-            // Always mode - enable or re-apply quality
-            if (!audioModeEnabled) {
-                enableAudioMode(true);
-            } else {
-                setLowestQuality();
-            }
         }
     });
 }
@@ -1460,8 +2501,8 @@ document.addEventListener('yt-page-data-updated', () => {
     const currentVideoId = new URLSearchParams(window.location.search).get('v');
     const videoIdChanged = currentVideoId && currentVideoId !== lastAppliedVideoId;
 
-    if (videoIdChanged && currentModeType === 'filtered') {
-        // In filtered mode, always re-check when video changes
+    if (videoIdChanged && currentModeType !== 'off') {
+        // In rule-based modes, always re-check when video changes
         console.log('[Audio Mode] Video changed in playlist, re-checking filters');
         setTimeout(() => applyFilteredMode(), 200);
     } else if (currentModeType === 'filtered' && !audioModeEnabled) {
@@ -1499,6 +2540,10 @@ if (isOnVideoPage()) {
     lastCheckedVideoId = new URLSearchParams(window.location.search).get('v');
 }
 startPlaylistCheck();
+startBackgroundListeningCheck();
+startMediaBytesTracking();
+navigator.connection?.addEventListener('change', onConnectionChange);
+document.addEventListener('visibilitychange', onVisibilityChange);
 
 // Cleanup on extension unload
 window.addEventListener('beforeunload', () => {
@@ -1510,5 +2555,14 @@ window.addEventListener('beforeunload', () => {
         clearInterval(playlistCheckInterval);
         playlistCheckInterval = null;
     }
+    if (backgroundListeningInterval) {
+        clearInterval(backgroundListeningInterval);
+        backgroundListeningInterval = null;
+    }
     stopUsageTracking();
+    stopQualityEnforcement();
+    stopMediaBytesTracking();
+    navigator.connection?.removeEventListener('change', onConnectionChange);
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    endHiddenTabAudio();
 });
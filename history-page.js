@@ -0,0 +1,241 @@
+// Listening history page for YouTube Audio Mode
+// Search, delete entries (with undo), clear all, and the opt-in and retention settings.
+// Entries are written by content.js while audio mode plays (see history.js).
+
+const UNDO_TIMEOUT = 10000;
+
+const historyEnabledInput = document.getElementById('history-enabled');
+const historyRetentionSelect = document.getElementById('history-retention');
+const historySearchInput = document.getElementById('history-search');
+const clearHistoryBtn = document.getElementById('clear-history-btn');
+const historyTable = document.getElementById('history-table');
+const undoBar = document.getElementById('undo-bar');
+const undoText = document.getElementById('undo-text');
+const undoBtn = document.getElementById('undo-btn');
+
+let historyEntries = [];
+let lastDeleted = null; // Entries removed by the last delete, for undo
+let undoTimeout = null;
+
+// Current language and loaded messages
+let currentLang = 'en';
+let loadedMessages = {};
+
+// Helper function to get translated messages
+function t(messageName) {
+    if (loadedMessages[messageName] && loadedMessages[messageName].message) {
+        return loadedMessages[messageName].message;
+    }
+    return chrome.i18n.getMessage(messageName) || messageName;
+}
+
+// Load messages for the language chosen in the popup
+async function loadMessages(lang) {
+    try {
+        const url = chrome.runtime.getURL(`_locales/${lang}/messages.json`);
+        const response = await fetch(url);
+        loadedMessages = await response.json();
+        currentLang = lang;
+    } catch (error) {
+        console.error(`Failed to load messages for ${lang}:`, error);
+    }
+}
+
+function applyTranslations() {
+    document.body.dir = currentLang === 'ar' ? 'rtl' : 'ltr';
+    document.documentElement.lang = currentLang;
+    document.title = `${t('appName')} · ${t('listeningHistory')}`;
+
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        const translation = t(el.getAttribute('data-i18n'));
+        if (translation) {
+            el.textContent = translation;
+        }
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.getAttribute('data-i18n-placeholder'));
+    });
+}
+
+// Escapes quotes too, since titles go into attribute values
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// Same format as the popup stats, e.g. "3h 20m"
+function formatTime(seconds) {
+    const m = Math.floor((seconds / 60) % 60);
+    const h = Math.floor(seconds / 3600);
+    if (h > 0) return `${h}${t('timeH')} ${m}${t('timeM')}`;
+    if (m > 0) return `${m}${t('timeM')}`;
+    return `${Math.floor(seconds)}${t('timeS')}`;
+}
+
+function formatDateTime(timestamp) {
+    return new Date(timestamp).toLocaleString(currentLang, {
+        year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+// --- Rendering ---
+
+function renderRetentionOptions(retentionDays) {
+    historyRetentionSelect.innerHTML = HISTORY_RETENTION_OPTIONS.map(days => `
+        <option value="${days}" ${days === retentionDays ? 'selected' : ''}>${days} ${escapeHtml(t('days'))}</option>
+    `).join('');
+}
+
+// Entries matching the search, newest first
+function getVisibleEntries() {
+    const query = historySearchInput.value.trim().toLowerCase();
+    if (!query) return historyEntries;
+    return historyEntries.filter(entry =>
+        `${entry.title} ${entry.channel} ${entry.videoId}`.toLowerCase().includes(query)
+    );
+}
+
+function renderHistoryRow(entry) {
+    const meta = [
+        entry.channel,
+        formatDateTime(entry.startedAt),
+        `${t('listeningTime')}: ${formatTime(entry.seconds)}`
+    ].filter(Boolean).join(' · ');
+
+    return `
+        <div class="rule-row" data-id="${escapeHtml(entry.id)}">
+            <div class="rule-main">
+                <div class="rule-label">
+                    <a class="rule-name history-link" href="https://www.youtube.com/watch?v=${encodeURIComponent(entry.videoId)}" target="_blank" title="${escapeHtml(entry.title)}">${escapeHtml(entry.title || entry.videoId)}</a>
+                </div>
+                <div class="rule-meta">${escapeHtml(meta)}</div>
+            </div>
+            <div class="rule-actions">
+                <button class="remove-rule-btn" title="${escapeHtml(t('remove'))}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+function renderHistory() {
+    const entries = getVisibleEntries();
+    if (entries.length === 0) {
+        historyTable.innerHTML = `<div class="empty-state">${t('noHistory')}</div>`;
+    } else {
+        historyTable.innerHTML = entries.map(renderHistoryRow).join('');
+    }
+    clearHistoryBtn.disabled = historyEntries.length === 0;
+}
+
+// --- Saving ---
+
+async function loadHistory() {
+    const result = await chrome.storage.local.get([HISTORY_KEY]);
+    historyEntries = result[HISTORY_KEY] || [];
+    renderHistory();
+}
+
+// Delete entries, keeping them for undo
+// Writes go through updateListeningHistory() - content scripts record into the same key
+async function deleteEntries(ids) {
+    let deleted = [];
+    historyEntries = await updateListeningHistory(entries => {
+        deleted = entries.filter(entry => ids.has(entry.id));
+        return entries.filter(entry => !ids.has(entry.id));
+    });
+    renderHistory();
+    if (deleted.length > 0) showUndo(deleted);
+}
+
+function showUndo(deleted) {
+    lastDeleted = deleted;
+    undoText.textContent = `${t('historyDeleted')}: ${deleted.length}`;
+    undoBar.classList.remove('hidden');
+
+    clearTimeout(undoTimeout);
+    undoTimeout = setTimeout(() => {
+        undoBar.classList.add('hidden');
+        lastDeleted = null;
+    }, UNDO_TIMEOUT);
+}
+
+// Put deleted entries back in date order (skipping any that exist again meanwhile)
+async function undoDelete() {
+    if (!lastDeleted) return;
+    const deleted = lastDeleted;
+
+    clearTimeout(undoTimeout);
+    undoBar.classList.add('hidden');
+    lastDeleted = null;
+
+    historyEntries = await updateListeningHistory(entries => {
+        const ids = new Set(entries.map(entry => entry.id));
+        return [...entries, ...deleted.filter(entry => !ids.has(entry.id))]
+            .sort((a, b) => b.startedAt - a.startedAt);
+    });
+    renderHistory();
+}
+
+// Drop entries past the retention limit (expired, or after the limit was shortened)
+async function applyRetention(retentionDays) {
+    if (pruneListeningHistory(historyEntries, retentionDays).length === historyEntries.length) return;
+
+    historyEntries = await updateListeningHistory(entries => pruneListeningHistory(entries, retentionDays));
+    renderHistory();
+}
+
+// --- Event handlers ---
+
+historyEnabledInput.addEventListener('change', () => {
+    chrome.storage.sync.set({ historyEnabled: historyEnabledInput.checked });
+});
+
+historyRetentionSelect.addEventListener('change', () => {
+    const retentionDays = parseInt(historyRetentionSelect.value, 10);
+    chrome.storage.sync.set({ historyRetentionDays: retentionDays });
+    applyRetention(retentionDays);
+});
+
+historySearchInput.addEventListener('input', () => renderHistory());
+
+clearHistoryBtn.addEventListener('click', () => deleteEntries(new Set(historyEntries.map(entry => entry.id))));
+undoBtn.addEventListener('click', undoDelete);
+
+// Rows are re-rendered, so listen on the table
+historyTable.addEventListener('click', (e) => {
+    const row = e.target.closest('.rule-row');
+    if (row && e.target.closest('.remove-rule-btn')) {
+        deleteEntries(new Set([row.dataset.id]));
+    }
+});
+
+// Keep the page in sync with entries recorded while this page is open
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes[HISTORY_KEY]) {
+        historyEntries = changes[HISTORY_KEY].newValue || [];
+        renderHistory();
+    } else if (namespace === 'sync' && changes.historyEnabled) {
+        historyEnabledInput.checked = !!changes.historyEnabled.newValue;
+    }
+});
+
+// Initialize
+(async () => {
+    const settings = await chrome.storage.sync.get(['language', 'historyEnabled', 'historyRetentionDays']);
+    await loadMessages(settings.language || (chrome.i18n.getUILanguage().startsWith('ar') ? 'ar' : 'en'));
+    applyTranslations();
+
+    const retentionDays = getHistoryRetentionDays(settings.historyRetentionDays);
+    historyEnabledInput.checked = !!settings.historyEnabled;
+    renderRetentionOptions(retentionDays);
+
+    await loadHistory();
+    await applyRetention(retentionDays);
+})();
@@ -0,0 +1,46 @@
+// Listening history for YouTube Audio Mode
+// Shared by content.js (content script), popup.js and the history page (history-page.js)
+
+/**
+ * Opt-in log of audio mode sessions, kept on this device only (off by default).
+ * historyEnabled, historyRetentionDays: chrome.storage.sync
+ * listeningHistory: chrome.storage.local, newest first:
+ * [{ id, videoId, title, channel, startedAt, seconds }]
+ * An entry covers one video from when it starts playing in audio mode until
+ * another video plays or audio mode is turned off; seconds counts playing time.
+ */
+
+const HISTORY_KEY = 'listeningHistory';
+const HISTORY_RETENTION_OPTIONS = [7, 30, 90, 365]; // Days
+const HISTORY_RETENTION_DEFAULT_DAYS = 30;
+const HISTORY_MAX_ENTRIES = 2000;
+
+/**
+ * Retention limit from a saved setting, or the default
+ */
+function getHistoryRetentionDays(value) {
+    return HISTORY_RETENTION_OPTIONS.includes(value) ? value : HISTORY_RETENTION_DEFAULT_DAYS;
+}
+
+/**
+ * Drop entries past the retention limit, and the oldest ones past the entry cap
+ * @param {Array} entries - listeningHistory, newest first
+ * @param {number} retentionDays - Days to keep
+ */
+function pruneListeningHistory(entries, retentionDays, now = Date.now()) {
+    const cutoff = now - retentionDays * 24 * 60 * 60 * 1000;
+    return entries.filter(entry => entry.startedAt >= cutoff).slice(0, HISTORY_MAX_ENTRIES);
+}
+
+/**
+ * Change the stored history from a fresh read, so the content scripts and the
+ * history page never write back a stale copy over each other's changes
+ * @param {Function} update - Receives the stored entries, returns the new entries
+ * @returns {Promise<Array>} Saved entries
+ */
+async function updateListeningHistory(update) {
+    const result = await chrome.storage.local.get([HISTORY_KEY]);
+    const entries = update(result[HISTORY_KEY] || []);
+    await chrome.storage.local.set({ [HISTORY_KEY]: entries });
+    return entries;
+}
@@ -0,0 +1,45 @@
+// Network-aware mode for YouTube Audio Mode
+// Shared by background.js (importScripts), content.js (content script) and popup.js
+
+/**
+ * With networkAware on (chrome.storage.sync), a constrained connection turns the
+ * effective mode into Always On (blacklisted videos still play as video); on a fast
+ * unmetered link the selected mode and schedules apply as usual.
+ * Read from navigator.connection (Network Information API), which fires 'change':
+ * - saveData: Data Saver is on in the browser or the OS
+ * - type 'cellular' or metered: mobile data (only some platforms report these)
+ * - effectiveType 'slow-2g', '2g' or '3g': a slow link, e.g. a weak tethering signal
+ */
+
+const SLOW_EFFECTIVE_TYPES = ['slow-2g', '2g', '3g'];
+
+// Message keys describing why a connection counts as constrained
+const CONNECTION_LABELS = {
+    saveData: 'connectionSaveData',
+    cellular: 'connectionCellular',
+    metered: 'connectionMetered',
+    slow: 'connectionSlow'
+};
+
+/**
+ * Why the connection should use audio mode
+ * @param {Object} connection - navigator.connection (undefined where not supported)
+ * @returns {string|null} 'saveData', 'cellular', 'metered', 'slow', or null for a fast unmetered link
+ */
+function getConnectionConstraint(connection = navigator.connection) {
+    if (!connection) return null;
+    if (connection.saveData) return 'saveData';
+    if (connection.type === 'cellular') return 'cellular';
+    if (connection.metered) return 'metered';
+    if (SLOW_EFFECTIVE_TYPES.includes(connection.effectiveType)) return 'slow';
+    return null;
+}
+
+/**
+ * Apply the network layer to a mode (after schedules)
+ * @param {string} modeType - Mode from the popup and schedules ('always', 'filtered', 'off')
+ * @param {boolean} networkAware - Network-aware setting
+ */
+function getNetworkModeType(modeType, networkAware, connection = navigator.connection) {
+    return networkAware && getConnectionConstraint(connection) ? 'always' : modeType;
+}
@@ -0,0 +1,572 @@
+// Options page for YouTube Audio Mode
+// Full-page rule manager: search, sort, bulk delete with undo, keyword editing and notes.
+// Reads and writes the same filterRules structure as popup.js (see rules.js and storage.js).
+
+// Rule array in each list for each rule type
+const RULE_TYPE_LISTS = {
+    channel: 'channels',
+    keyword: 'keywords',
+    compound: 'compound',
+    category: 'categories',
+    duration: 'durations',
+    playlist: 'playlists',
+    video: 'videos'
+};
+
+const NOTE_MAX_LENGTH = 200;
+const UNDO_TIMEOUT = 10000;
+
+const listTabs = document.querySelectorAll('.list-tab');
+const ruleSearchInput = document.getElementById('rule-search');
+const ruleTypeFilter = document.getElementById('rule-type-filter');
+const ruleSortSelect = document.getElementById('rule-sort');
+const selectAllInput = document.getElementById('select-all');
+const selectionCount = document.getElementById('selection-count');
+const deleteSelectedBtn = document.getElementById('delete-selected-btn');
+const ruleTable = document.getElementById('rule-table');
+const undoBar = document.getElementById('undo-bar');
+const undoText = document.getElementById('undo-text');
+const undoBtn = document.getElementById('undo-btn');
+
+let rules = normalizeRules({});
+let ruleStats = {}; // { [ruleKey]: { hits, lastMatchedAt, listeningSeconds } } - written by content.js
+let currentListType = 'whitelist';
+let selectedKeys = new Set();
+let editingKey = null; // Keyword rule being edited inline
+let lastDeleted = null; // { listType, items: [{ listKey, index, rule }] } for undo
+let undoTimeout = null;
+
+// Current language and loaded messages
+let currentLang = 'en';
+let loadedMessages = {};
+
+// Helper function to get translated messages
+function t(messageName) {
+    if (loadedMessages[messageName] && loadedMessages[messageName].message) {
+        return loadedMessages[messageName].message;
+    }
+    return chrome.i18n.getMessage(messageName) || messageName;
+}
+
+// Load messages for the language chosen in the popup
+async function loadMessages(lang) {
+    try {
+        const url = chrome.runtime.getURL(`_locales/${lang}/messages.json`);
+        const response = await fetch(url);
+        loadedMessages = await response.json();
+        currentLang = lang;
+    } catch (error) {
+        console.error(`Failed to load messages for ${lang}:`, error);
+    }
+}
+
+function applyTranslations() {
+    document.body.dir = currentLang === 'ar' ? 'rtl' : 'ltr';
+    document.documentElement.lang = currentLang;
+    document.title = `${t('appName')} · ${t('manageRules')}`;
+
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        const translation = t(el.getAttribute('data-i18n'));
+        if (translation) {
+            el.textContent = translation;
+        }
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.getAttribute('data-i18n-placeholder'));
+    });
+}
+
+// Escapes quotes too, since rule text and notes go into attribute values
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+function showToast(message) {
+    let toast = document.querySelector('.toast');
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.className = 'toast';
+        document.body.appendChild(toast);
+    }
+    toast.textContent = message;
+    toast.classList.add('show');
+    setTimeout(() => toast.classList.remove('show'), 2000);
+}
+
+// Same format as the popup stats, e.g. "3h 20m"
+function formatTime(seconds) {
+    const m = Math.floor((seconds / 60) % 60);
+    const h = Math.floor(seconds / 3600);
+    if (h > 0) return `${h}${t('timeH')} ${m}${t('timeM')}`;
+    if (m > 0) return `${m}${t('timeM')}`;
+    return `${Math.floor(seconds)}${t('timeS')}`;
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString(currentLang, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// --- Rule entries ---
+
+// Every rule in a list: { ruleType, listKey, index, rule, key, label, title, tags }
+function getRuleEntries(listType, source = rules) {
+    const list = source[listType];
+    return Object.entries(RULE_TYPE_LISTS).flatMap(([ruleType, listKey]) =>
+        list[listKey].map((rule, index) => ({
+            ruleType,
+            listKey,
+            index,
+            rule,
+            key: getRuleKey(listType, ruleType, rule),
+            ...describeRule(ruleType, rule)
+        }))
+    );
+}
+
+// Display text for a rule, in the same form as the popup lists
+function describeRule(ruleType, rule) {
+    const tags = [t(RULE_TYPE_LABELS[ruleType])];
+
+    if (ruleType === 'channel') {
+        const ids = [...new Set([rule.id, rule.ucid, rule.handle].filter(Boolean))].join(' · ');
+        return { label: rule.name || rule.id, title: ids, tags };
+    }
+    if (ruleType === 'keyword') {
+        if (KEYWORD_TARGET_LABELS[rule.target]) tags.push(t(KEYWORD_TARGET_LABELS[rule.target]));
+        if (MATCH_TYPE_LABELS[rule.matchType]) tags.push(t(MATCH_TYPE_LABELS[rule.matchType]));
+        if (rule.caseSensitive) tags.push('Aa');
+        const label = rule.matchType === 'regex' ? `/${rule.keyword}/` : `"${rule.keyword}"`;
+        return { label, title: label, tags };
+    }
+    if (ruleType === 'compound') {
+        const label = formatExpression(rule.expression);
+        return { label, title: label, tags };
+    }
+    if (ruleType === 'category') {
+        return { label: rule.category, title: rule.category, tags };
+    }
+    if (ruleType === 'duration') {
+        const label = `${t(rule.operator === 'shorter' ? 'shorterThan' : 'longerThan')} ${rule.minutes} ${t('minutes')}`;
+        return { label, title: label, tags };
+    }
+    // Playlist and video rules
+    return { label: rule.name || rule.id, title: rule.id, tags };
+}
+
+// Entries of the current list after search, type filter and sorting
+function getVisibleEntries() {
+    const query = ruleSearchInput.value.trim().toLowerCase();
+    const typeFilter = ruleTypeFilter.value;
+    const lastMatched = entry => ruleStats[entry.key]?.lastMatchedAt || 0;
+
+    const entries = getRuleEntries(currentListType).filter(entry => {
+        if (typeFilter !== 'all' && entry.ruleType !== typeFilter) return false;
+        if (!query) return true;
+        return [entry.label, entry.title, entry.rule.note, ...entry.tags]
+            .some(text => text && text.toLowerCase().includes(query));
+    });
+
+    const sort = ruleSortSelect.value;
+    return entries.sort((a, b) => {
+        if (sort === 'added') return (b.rule.addedAt || 0) - (a.rule.addedAt || 0);
+        if (sort === 'matched') return lastMatched(b) - lastMatched(a);
+        if (sort === 'hits') return (ruleStats[b.key]?.hits || 0) - (ruleStats[a.key]?.hits || 0);
+        if (sort === 'listening') return (ruleStats[b.key]?.listeningSeconds || 0) - (ruleStats[a.key]?.listeningSeconds || 0);
+        return a.label.localeCompare(b.label, currentLang, { sensitivity: 'base' });
+    });
+}
+
+// --- Rendering ---
+
+function renderCounts() {
+    ['whitelist', 'blacklist'].forEach(listType => {
+        document.getElementById(`${listType}-count`).textContent =
+            RULE_LIST_KEYS.reduce((total, key) => total + rules[listType][key].length, 0);
+    });
+}
+
+function renderRuleRow(entry) {
+    const stats = ruleStats[entry.key] || {};
+    const meta = [
+        entry.rule.addedAt ? `${t('added')}: ${formatDate(entry.rule.addedAt)}` : '',
+        `${t('lastMatched')}: ${stats.lastMatchedAt ? formatDate(stats.lastMatchedAt) : t('never')}`,
+        stats.lastMatchedAt ? `${t('matches')}: ${stats.hits || 1}` : '',
+        stats.listeningSeconds ? `${t('listeningTime')}: ${formatTime(stats.listeningSeconds)}` : ''
+    ].filter(Boolean).join(' · ');
+
+    return `
+        <div class="rule-row ${selectedKeys.has(entry.key) ? 'selected' : ''}" data-key="${escapeHtml(entry.key)}">
+            <input type="checkbox" class="rule-select" ${selectedKeys.has(entry.key) ? 'checked' : ''}>
+            <div class="rule-main">
+                <div class="rule-label">
+                    <span class="rule-name" title="${escapeHtml(entry.title)}">${escapeHtml(entry.label)}</span>
+                    ${entry.tags.map(tag => `<span class="rule-tag">${escapeHtml(tag)}</span>`).join('')}
+                </div>
+                <div class="rule-meta">${escapeHtml(meta)}</div>
+                <input type="text" class="rule-note" maxlength="${NOTE_MAX_LENGTH}" value="${escapeHtml(entry.rule.note)}" placeholder="${escapeHtml(t('addNote'))}">
+            </div>
+            <div class="rule-actions">
+                ${entry.ruleType === 'keyword' ? `
+                <button class="edit-rule-btn" title="${escapeHtml(t('edit'))}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M12 20h9"></path>
+                        <path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4Z"></path>
+                    </svg>
+                </button>` : ''}
+                <button class="remove-rule-btn" title="${escapeHtml(t('remove'))}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+// Inline editor for a keyword rule
+function renderKeywordEditor(entry) {
+    const { keyword, matchType = 'contains', target = 'title', caseSensitive } = entry.rule;
+    const option = (value, selected, label) =>
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${escapeHtml(t(label))}</option>`;
+
+    return `
+        <div class="rule-row editing" data-key="${escapeHtml(entry.key)}">
+            <div class="keyword-editor">
+                <input type="text" class="edit-keyword" value="${escapeHtml(keyword)}">
+                <select class="edit-target">
+                    ${option('title', target, 'ruleKindTitle')}
+                    ${option('description', target, 'ruleKindDescription')}
+                    ${option('tags', target, 'ruleKindTags')}
+                </select>
+                <select class="edit-match">
+                    ${option('contains', matchType, 'matchContains')}
+                    ${option('word', matchType, 'matchWord')}
+                    ${option('wildcard', matchType, 'matchWildcard')}
+                    ${option('regex', matchType, 'matchRegex')}
+                </select>
+                <label class="checkbox-label">
+                    <input type="checkbox" class="edit-case" ${caseSensitive ? 'checked' : ''}>
+                    <span>${escapeHtml(t('caseSensitive'))}</span>
+                </label>
+                <button class="secondary-btn cancel-edit-btn">${escapeHtml(t('cancel'))}</button>
+                <button class="save-edit-btn">${escapeHtml(t('save'))}</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderRules() {
+    renderCounts();
+
+    const entries = getVisibleEntries();
+    if (entries.length === 0) {
+        ruleTable.innerHTML = `<div class="empty-state">${t('noRulesFound')}</div>`;
+    } else {
+        ruleTable.innerHTML = entries
+            .map(entry => entry.key === editingKey ? renderKeywordEditor(entry) : renderRuleRow(entry))
+            .join('');
+    }
+
+    // Selection only covers rules that still exist
+    const allKeys = new Set(getRuleEntries(currentListType).map(entry => entry.key));
+    selectedKeys = new Set([...selectedKeys].filter(key => allKeys.has(key)));
+    updateSelectionBar(entries);
+}
+
+function updateSelectionBar(entries = getVisibleEntries()) {
+    const visibleSelected = entries.filter(entry => selectedKeys.has(entry.key)).length;
+    selectAllInput.checked = entries.length > 0 && visibleSelected === entries.length;
+    selectAllInput.indeterminate = visibleSelected > 0 && visibleSelected < entries.length;
+    selectionCount.textContent = selectedKeys.size > 0 ? `${t('selected')}: ${selectedKeys.size}` : '';
+    deleteSelectedBtn.disabled = selectedKeys.size === 0;
+}
+
+// --- Saving ---
+
+/**
+ * Change the stored rules from a fresh read, so rules added elsewhere meanwhile
+ * (the popup, quick-add) aren't overwritten by this page's copy
+ * @param {Function} update - Changes the rules in place; returns false to save nothing
+ * @returns {Promise<boolean>} true if the rules were saved
+ */
+async function updateRules(update) {
+    try {
+        const storedRules = normalizeRules(await getFilterRules());
+        if (update(storedRules) === false) return false;
+
+        await saveFilterRules(storedRules);
+        rules = storedRules;
+        return true;
+    } catch (error) {
+        console.error('[Audio Mode] Failed to save filter rules:', error);
+        showToast(t('rulesSaveFailed'));
+        return false;
+    }
+}
+
+async function loadRules() {
+    rules = normalizeRules(await getFilterRules());
+    renderRules();
+}
+
+function findEntry(key, source = rules) {
+    return getRuleEntries(currentListType, source).find(entry => entry.key === key);
+}
+
+// Delete rules from the current list, keeping them for undo
+async function deleteRules(keys) {
+    const listType = currentListType;
+    let items = [];
+
+    const saved = await updateRules(storedRules => {
+        items = getRuleEntries(listType, storedRules)
+            .filter(entry => keys.has(entry.key))
+            .map(({ listKey, index, rule }) => ({ listKey, index, rule }));
+        if (items.length === 0) return false;
+
+        Object.values(RULE_TYPE_LISTS).forEach(listKey => {
+            storedRules[listType][listKey] = storedRules[listType][listKey]
+                .filter(rule => !items.some(item => item.rule === rule));
+        });
+    });
+
+    keys.forEach(key => selectedKeys.delete(key));
+    if (!saved) {
+        await loadRules();
+        return;
+    }
+
+    renderRules();
+    showUndo({ listType, items });
+}
+
+function showUndo(deleted) {
+    lastDeleted = deleted;
+    undoText.textContent = `${t('rulesDeleted')}: ${deleted.items.length}`;
+    undoBar.classList.remove('hidden');
+
+    clearTimeout(undoTimeout);
+    undoTimeout = setTimeout(() => {
+        undoBar.classList.add('hidden');
+        lastDeleted = null;
+    }, UNDO_TIMEOUT);
+}
+
+// Put deleted rules back where they were (skipping any that were added again meanwhile)
+async function undoDelete() {
+    if (!lastDeleted) return;
+    const { listType, items } = lastDeleted;
+
+    clearTimeout(undoTimeout);
+    undoBar.classList.add('hidden');
+    lastDeleted = null;
+
+    const saved = await updateRules(storedRules => {
+        [...items].sort((a, b) => a.index - b.index).forEach(({ listKey, index, rule }) => {
+            const list = storedRules[listType][listKey];
+            const ruleType = Object.keys(RULE_TYPE_LISTS).find(type => RULE_TYPE_LISTS[type] === listKey);
+            const key = getRuleKey(listType, ruleType, rule);
+            if (!list.some(existing => getRuleKey(listType, ruleType, existing) === key)) {
+                list.splice(Math.min(index, list.length), 0, rule);
+            }
+        });
+    });
+
+    if (saved) {
+        renderRules();
+        showToast(t('rulesRestored'));
+    }
+}
+
+async function saveNote(key, note) {
+    const text = note.trim().slice(0, NOTE_MAX_LENGTH);
+
+    const saved = await updateRules(storedRules => {
+        const entry = findEntry(key, storedRules);
+        if (!entry) return false;
+
+        if (text) {
+            entry.rule.note = text;
+        } else {
+            delete entry.rule.note;
+        }
+    });
+
+    if (saved) {
+        showToast(t('noteSaved'));
+    }
+}
+
+async function saveKeywordEdit(row) {
+    const key = row.dataset.key;
+    const listType = currentListType;
+
+    const target = row.querySelector('.edit-target').value;
+    const matchType = row.querySelector('.edit-match').value;
+    let keyword = row.querySelector('.edit-keyword').value.trim();
+    // Tags are stored without the leading # (as when adding in the popup)
+    if (target === 'tags' && matchType !== 'regex') {
+        keyword = keyword.replace(/^#/, '');
+    }
+
+    const error = validateKeywordPattern(keyword, matchType);
+    if (error) {
+        showToast(t(error));
+        return;
+    }
+
+    let updated = null;
+    let problem = null; // 'missing' (removed meanwhile) or 'duplicate'
+    const saved = await updateRules(storedRules => {
+        const keywords = storedRules[listType].keywords;
+        const index = keywords.findIndex(rule => getRuleKey(listType, 'keyword', rule) === key);
+        if (index === -1) {
+            problem = 'missing';
+            return false;
+        }
+
+        updated = {
+            ...keywords[index],
+            keyword: keyword,
+            target: target,
+            matchType: matchType,
+            caseSensitive: row.querySelector('.edit-case').checked
+        };
+        if (keywords.some((rule, i) => i !== index && isSameKeywordRule(rule, updated))) {
+            problem = 'duplicate';
+            return false;
+        }
+
+        keywords[index] = updated;
+    });
+
+    if (problem === 'duplicate') {
+        showToast(t('alreadyAdded'));
+        return;
+    }
+    if (problem === 'missing') {
+        editingKey = null;
+        await loadRules();
+        return;
+    }
+    if (!saved) return;
+
+    // Keep the rule's statistics under its new key (from a fresh read - content scripts keep adding to them)
+    const newKey = getRuleKey(listType, 'keyword', updated);
+    if (newKey !== key) {
+        const storedStats = (await chrome.storage.local.get(['ruleStats'])).ruleStats || {};
+        if (storedStats[key]) {
+            storedStats[newKey] = storedStats[key];
+            delete storedStats[key];
+            await chrome.storage.local.set({ ruleStats: storedStats });
+        }
+        ruleStats = storedStats;
+    }
+
+    editingKey = null;
+    renderRules();
+    showToast(t('ruleUpdated'));
+}
+
+// --- Event handlers ---
+
+listTabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+        listTabs.forEach(other => other.classList.remove('active'));
+        tab.classList.add('active');
+        currentListType = tab.dataset.list;
+        selectedKeys.clear();
+        editingKey = null;
+        renderRules();
+    });
+});
+
+ruleSearchInput.addEventListener('input', () => renderRules());
+ruleTypeFilter.addEventListener('change', () => renderRules());
+ruleSortSelect.addEventListener('change', () => renderRules());
+
+selectAllInput.addEventListener('change', () => {
+    getVisibleEntries().forEach(entry => {
+        if (selectAllInput.checked) {
+            selectedKeys.add(entry.key);
+        } else {
+            selectedKeys.delete(entry.key);
+        }
+    });
+    renderRules();
+});
+
+deleteSelectedBtn.addEventListener('click', () => deleteRules(new Set(selectedKeys)));
+undoBtn.addEventListener('click', undoDelete);
+
+// Row actions (rows are re-rendered, so listen on the table)
+ruleTable.addEventListener('click', (e) => {
+    const row = e.target.closest('.rule-row');
+    if (!row) return;
+    const key = row.dataset.key;
+
+    if (e.target.closest('.remove-rule-btn')) {
+        deleteRules(new Set([key]));
+    } else if (e.target.closest('.edit-rule-btn')) {
+        editingKey = key;
+        renderRules();
+        ruleTable.querySelector('.edit-keyword')?.focus();
+    } else if (e.target.closest('.cancel-edit-btn')) {
+        editingKey = null;
+        renderRules();
+    } else if (e.target.closest('.save-edit-btn')) {
+        saveKeywordEdit(row);
+    }
+});
+
+ruleTable.addEventListener('change', (e) => {
+    const row = e.target.closest('.rule-row');
+    if (!row) return;
+
+    if (e.target.classList.contains('rule-select')) {
+        if (e.target.checked) {
+            selectedKeys.add(row.dataset.key);
+        } else {
+            selectedKeys.delete(row.dataset.key);
+        }
+        row.classList.toggle('selected', e.target.checked);
+        updateSelectionBar();
+    } else if (e.target.classList.contains('rule-note')) {
+        saveNote(row.dataset.key, e.target.value);
+    }
+});
+
+ruleTable.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.classList.contains('edit-keyword')) {
+        saveKeywordEdit(e.target.closest('.rule-row'));
+    } else if (e.key === 'Enter' && e.target.classList.contains('rule-note')) {
+        e.target.blur(); // Saves through the change event
+    }
+});
+
+// Keep the page in sync with changes made in the popup or by content scripts
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    // Don't re-render under an open editor or a note being typed
+    const busy = editingKey || document.activeElement?.classList.contains('rule-note');
+
+    if (namespace === 'sync' && changes.filterRules && !busy) {
+        loadRules();
+    } else if (namespace === 'local' && changes.ruleStats) {
+        ruleStats = changes.ruleStats.newValue || {};
+        if (!busy) renderRules();
+    }
+});
+
+// Initialize
+(async () => {
+    const { language } = await chrome.storage.sync.get(['language']);
+    await loadMessages(language || (chrome.i18n.getUILanguage().startsWith('ar') ? 'ar' : 'en'));
+    applyTranslations();
+
+    ruleStats = (await chrome.storage.local.get(['ruleStats'])).ruleStats || {};
+    await loadRules();
+})();
@@ -9,6 +9,13 @@ const langBtn = document.getElementById('lang-btn');
 // Current audio mode type: 'always', 'filtered', or 'off'
 let currentModeType = 'always';
 
+// Message keys for mode names
+const MODE_LABELS = {
+    always: 'modeAlwaysOn',
+    filtered: 'modeFiltered',
+    off: 'modeOff'
+};
+
 // Current language and loaded messages
 let currentLang = 'en';
 let loadedMessages = {};
@@ -68,6 +75,25 @@ async function setLanguage(lang) {
     // Refresh stats to apply new units
     updateStats();
 
+    // Refresh the decision explanation in the new language
+    fetchDecision();
+
+    // Re-render schedule with localized day names
+    renderScheduleDays();
+    renderScheduleList();
+    updateScheduleStatus();
+    updateNetworkStatus();
+
+    // Re-render compound rule conditions with localized field names
+    renderCompoundConditions();
+
+    // Re-render profiles ("no profile" / "active" labels)
+    renderProfiles();
+    renderChannelProfiles();
+
+    // Budget usage line uses localized units and dates
+    updateBudgetStatus();
+
     // Save preference
     chrome.storage.sync.set({ language: lang });
 
@@ -102,6 +128,8 @@ langBtn.addEventListener('click', () => {
 chrome.storage.sync.get(['audioModeType'], (result) => {
     currentModeType = result.audioModeType || 'always';
     updateModeUI(currentModeType);
+    updateScheduleStatus();
+    updateNetworkStatus();
 });
 
 // Update mode selector UI
@@ -112,9 +140,10 @@ function updateModeUI(mode) {
     modeOffBtn.classList.remove('active');
 
     // Set active on selected mode and show/hide configure button
+    // (Always On still uses the blacklist, so filters stay configurable)
     if (mode === 'always') {
         modeAlwaysBtn.classList.add('active');
-        configureFiltersBtn.classList.add('hidden');
+        configureFiltersBtn.classList.remove('hidden');
     } else if (mode === 'filtered') {
         modeFilteredBtn.classList.add('active');
         configureFiltersBtn.classList.remove('hidden');
@@ -131,6 +160,8 @@ function selectMode(mode) {
 
     currentModeType = mode;
     updateModeUI(mode);
+    updateScheduleStatus();
+    updateNetworkStatus();
 
     // Save to storage
     chrome.storage.sync.set({ audioModeType: mode });
@@ -142,6 +173,9 @@ function selectMode(mode) {
             chrome.tabs.sendMessage(currentTab.id, {
                 action: 'modeChanged',
                 mode: mode
+            }).then(() => {
+                // Rule checks may wait for video info - give them a moment
+                setTimeout(fetchDecision, 1500);
             }).catch(() => {
                 // Content script not ready, will pick up from storage
             });
@@ -149,6 +183,186 @@ function selectMode(mode) {
     });
 }
 
+// --- Decision Card ("why is audio mode on/off for this video") ---
+
+const decisionCard = document.getElementById('decision-card');
+const decisionTitle = document.getElementById('decision-title');
+const decisionReason = document.getElementById('decision-reason');
+
+// Explain a decision from the content script
+function describeDecision(decision) {
+    const modeName = t(MODE_LABELS[decision.modeType] || 'modeAlwaysOn');
+    const parts = [];
+
+    if (decision.scheduled) {
+        parts.push(`${t('scheduleActive')}: ${modeName}`);
+    }
+    if (decision.network) {
+        parts.push(`${t(CONNECTION_LABELS[decision.network])}: ${modeName}`);
+    }
+
+    if (decision.reason === 'rule' && decision.match) {
+        const { listType, ruleType, value } = decision.match;
+        parts.push(`${t(listType)} · ${t(RULE_TYPE_LABELS[ruleType])}: ${value}`);
+    } else if (decision.reason === 'alwaysDefault') {
+        parts.push(t('reasonAlwaysDefault'));
+    } else if (decision.reason === 'noMatch') {
+        parts.push(t('reasonNoMatch'));
+    } else if (decision.reason === 'infoTimeout') {
+        parts.push(`${t('reasonInfoTimeout')} (${modeName})`);
+    } else if (decision.reason === 'modeOff') {
+        parts.push(t('reasonModeOff'));
+    } else if (decision.reason === 'override' && decision.override) {
+        parts.push(`${t('reasonOverride')} · ${describeOverrideScope(decision.override)}`);
+    }
+
+    // Decided before all metadata (e.g. duration) was available
+    if (decision.timedOut && decision.reason !== 'infoTimeout') {
+        parts.push(t('reasonPartialInfo'));
+    }
+
+    return parts.join(' · ');
+}
+
+// Ask the active YouTube tab why audio mode is (or isn't) active
+async function fetchDecision(retryCount = 0) {
+    const MAX_RETRIES = 5;
+    const RETRY_DELAY = 1000;
+
+    try {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        const currentTab = tabs[0];
+
+        if (!currentTab?.url?.match(/youtube\.com\/watch/)) {
+            decisionCard.classList.add('hidden');
+            return;
+        }
+
+        const decision = await chrome.tabs.sendMessage(currentTab.id, { action: 'getDecision' });
+        updateOverrideControls(decision);
+
+        if (!decision || decision.reason === 'pending') {
+            decisionTitle.textContent = t('decisionPending');
+            decisionReason.textContent = '';
+            decisionCard.classList.remove('hidden', 'audio');
+            if (retryCount < MAX_RETRIES) {
+                setTimeout(() => fetchDecision(retryCount + 1), RETRY_DELAY);
+            }
+            return;
+        }
+
+        decisionTitle.textContent = t(decision.audio ? 'decisionAudio' : 'decisionVideo');
+        decisionReason.textContent = describeDecision(decision);
+        decisionCard.classList.toggle('audio', decision.audio);
+        decisionCard.classList.remove('hidden');
+    } catch (error) {
+        // Content script not ready
+        decisionCard.classList.add('hidden');
+    }
+}
+
+fetchDecision();
+
+// --- Temporary Overrides (force audio/video for a video, a tab or a while) ---
+
+const overrideScopeSelect = document.getElementById('override-scope');
+const overrideMinutesInput = document.getElementById('override-minutes');
+const overrideAudioBtn = document.getElementById('override-audio-btn');
+const overrideVideoBtn = document.getElementById('override-video-btn');
+const overrideActiveActions = document.getElementById('override-active-actions');
+const overridePermanentBtn = document.getElementById('override-permanent-btn');
+const overrideClearBtn = document.getElementById('override-clear-btn');
+
+// Override shown in the decision card (see setOverride() in content.js)
+let activeOverride = null;
+
+// How long an override lasts, e.g. "this video" or "until 18:30"
+function describeOverrideScope(override) {
+    if (override.scope === 'timed') {
+        const end = new Date(override.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `${t('until')} ${end}`;
+    }
+    return t(override.scope === 'tab' ? 'overrideScopeTab' : 'overrideScopeVideo');
+}
+
+// Offer "end" and "make permanent" while an override is active
+// Video overrides become a video rule, tab and timed overrides a channel rule
+function updateOverrideControls(decision) {
+    activeOverride = decision?.reason === 'override' ? decision.override : null;
+    overrideActiveActions.classList.toggle('hidden', !activeOverride);
+
+    if (activeOverride) {
+        const label = activeOverride.scope === 'video' ? 'overridePermanentVideo' : 'overridePermanentChannel';
+        overridePermanentBtn.setAttribute('data-i18n', label);
+        overridePermanentBtn.textContent = t(label);
+    }
+}
+
+// Set (or clear with null) the override in the active tab
+async function sendOverride(override) {
+    try {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        const decision = await chrome.tabs.sendMessage(tabs[0].id, { action: 'setOverride', override: override });
+        if (decision) {
+            decisionTitle.textContent = t(decision.audio ? 'decisionAudio' : 'decisionVideo');
+            decisionReason.textContent = describeDecision(decision);
+            decisionCard.classList.toggle('audio', decision.audio);
+            updateOverrideControls(decision);
+        }
+        // Rules may still be checking (e.g. after ending an override)
+        if (!decision || decision.reason === 'pending') {
+            fetchDecision();
+        }
+    } catch (error) {
+        console.error('[Audio Mode] Failed to set override:', error);
+        showToast(t('overrideFailed'));
+    }
+}
+
+function requestOverride(audio) {
+    const scope = overrideScopeSelect.value;
+    const minutes = parseInt(overrideMinutesInput.value, 10);
+    if (scope === 'timed' && !(minutes > 0)) {
+        showToast(t('invalidDuration'));
+        return;
+    }
+    sendOverride({ audio: audio, scope: scope, minutes: minutes });
+}
+
+overrideScopeSelect.addEventListener('change', () => {
+    overrideMinutesInput.classList.toggle('hidden', overrideScopeSelect.value !== 'timed');
+});
+
+overrideAudioBtn.addEventListener('click', () => requestOverride(true));
+overrideVideoBtn.addEventListener('click', () => requestOverride(false));
+overrideClearBtn.addEventListener('click', () => sendOverride(null));
+
+// Turn the override into a rule, then let the rule decide
+overridePermanentBtn.addEventListener('click', async () => {
+    if (!activeOverride) return;
+
+    let info = currentVideoInfo;
+    if (!info) {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        info = await chrome.tabs.sendMessage(tabs[0].id, { action: 'getVideoInfo' }).catch(() => null);
+    }
+
+    const ruleTypeName = activeOverride.scope === 'video' ? 'video' : 'channel';
+    if (!QUICK_RULE_TYPES[ruleTypeName].getId(info)) {
+        showToast(t('videoInfoUnavailable'));
+        return;
+    }
+
+    const rules = normalizeRules(await getFilterRules());
+    addQuickRule(rules, ruleTypeName, activeOverride.audio ? 'whitelist' : 'blacklist', info);
+    if (!(await persistFilterRules(rules))) return;
+
+    showToast(t('ruleAdded'));
+    loadFilterRules();
+    updateQuickAddButtonState();
+    sendOverride(null);
+});
+
 // Mode button click handlers
 modeAlwaysBtn.addEventListener('click', () => selectMode('always'));
 modeFilteredBtn.addEventListener('click', () => selectMode('filtered'));
@@ -175,12 +389,18 @@ filterBtns.forEach(btn => {
     });
 });
 
+// Opt-in listening history page (history.html)
+document.getElementById('open-history-btn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+});
+
 function updateStats() {
     try {
-        // Get both logs
-        chrome.storage.local.get(['statsLogs', 'activeLogs', 'audioModeSeconds'], (result) => {
+        // Get all logs
+        chrome.storage.local.get(['statsLogs', 'activeLogs', 'bytesLogs', 'audioModeSeconds'], (result) => {
             const statsLogs = result.statsLogs || {};
             const activeLogs = result.activeLogs || {};
+            const bytesLogs = result.bytesLogs || {};
 
             // Legacy support: if we have audioModeSeconds but no logs, maybe credit it to today?
             // Or just ignore legacy data for the new accurate system. 
@@ -191,16 +411,17 @@ function updateStats() {
 
             let totalListenedSeconds = 0;
             let totalActiveSeconds = 0;
+            let usageAudioMode = 0; // MB: measured where bytesLogs has the day, estimated otherwise
+            let hasEstimatedDays = false;
 
-            // Aggregate Listened Time (Accurate Playback)
+            // Aggregate Listened Time (Accurate Playback) and audio mode data usage
             Object.entries(statsLogs).forEach(([date, seconds]) => {
-                if (currentFilter === 'month') {
-                    if (date.startsWith(currentMonthPrefix)) {
-                        totalListenedSeconds += seconds;
-                    }
-                } else {
-                    totalListenedSeconds += seconds;
-                }
+                if (currentFilter === 'month' && !date.startsWith(currentMonthPrefix)) return;
+
+                totalListenedSeconds += seconds;
+                const usage = getAudioModeUsage(date, statsLogs, bytesLogs); // See budget.js
+                usageAudioMode += usage.mb;
+                hasEstimatedDays = hasEstimatedDays || usage.estimated;
             });
 
             // Aggregate Active Time (Wall Clock)
@@ -214,20 +435,13 @@ function updateStats() {
                 }
             });
 
-            // Calculate Data
+            // Estimate what the same listening would have used as video
             const listenedMinutes = totalListenedSeconds / 60;
+            const usage720p = listenedMinutes * DATA_RATES_MB_PER_MIN.RATE_720P;
+            const usage1080p = listenedMinutes * DATA_RATES_MB_PER_MIN.RATE_1080P;
 
-            // Data Rates (MB per minute)
-            const RATE_144P = 0.75;
-            const RATE_720P = 18.75;
-            const RATE_1080P = 33.75;
-
-            const usage144p = listenedMinutes * RATE_144P;
-            const usage720p = listenedMinutes * RATE_720P;
-            const usage1080p = listenedMinutes * RATE_1080P;
-
-            const savedVs720p = usage720p - usage144p;
-            const savedVs1080p = usage1080p - usage144p;
+            const savedVs720p = Math.max(0, usage720p - usageAudioMode);
+            const savedVs1080p = Math.max(0, usage1080p - usageAudioMode);
 
             // Update UI
             const dataSavedElement = document.getElementById('data-saved-value');
@@ -246,8 +460,14 @@ function updateStats() {
                 activeTimeElement.textContent = formatTime(totalActiveSeconds);
             }
 
-            // Update Table (Comparison uses statsLogs data mainly)
-            updateTableVal('usage-144p', usage144p);
+            // Update Table (audio mode measured, video estimated for the same listening time)
+            updateTableVal('usage-144p', usageAudioMode);
+            const dataUsageNote = document.getElementById('data-usage-note');
+            if (dataUsageNote) {
+                dataUsageNote.textContent = hasEstimatedDays
+                    ? `${t('dataUsageNote')} ${t('dataUsageEstimatedDays')}`
+                    : t('dataUsageNote');
+            }
             updateTableVal('usage-720p', usage720p);
             updateTableVal('saved-720p', savedVs720p, true);
             updateTableVal('usage-1080p', usage1080p);
@@ -295,7 +515,7 @@ updateStats();
 
 // Listen for storage changes instead of polling
 chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === 'local' && (changes.statsLogs || changes.activeLogs)) {
+    if (namespace === 'local' && (changes.statsLogs || changes.activeLogs || changes.bytesLogs)) {
         updateStats();
     }
 });
@@ -488,6 +708,116 @@ qualitySelect.addEventListener('change', () => {
     chrome.storage.sync.set({ preferredQuality: quality });
 });
 
+// Quality used while audio mode is on (content.js resolves it against each video's levels)
+const audioQualitySelect = document.getElementById('audio-quality-select');
+
+chrome.storage.sync.get(['audioQuality'], (result) => {
+    if (result.audioQuality) {
+        audioQualitySelect.value = result.audioQuality;
+    }
+});
+
+audioQualitySelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ audioQuality: audioQualitySelect.value });
+});
+
+// --- Data Budget ---
+// Usage, warnings and the switch to Always On are handled in the background (see budget.js)
+
+const budgetStatus = document.getElementById('budget-status');
+const budgetEnabledInput = document.getElementById('budget-enabled-input');
+const budgetFields = document.getElementById('budget-fields');
+const budgetLimitInput = document.getElementById('budget-limit-input');
+const budgetDayInput = document.getElementById('budget-day-input');
+const budgetWarnInput = document.getElementById('budget-warn-input');
+const budgetAutoInput = document.getElementById('budget-auto-input');
+const budgetAutoAtInput = document.getElementById('budget-auto-at-input');
+const budgetUsageText = document.getElementById('budget-usage-text');
+
+// "75, 90, 100" -> [75, 90, 100], or null if any value isn't a percentage
+function parseWarnThresholds(text) {
+    const values = text.split(',').map(value => value.trim()).filter(Boolean).map(Number);
+    if (values.some(value => !Number.isFinite(value) || value <= 0 || value > 100)) return null;
+    return [...new Set(values)].sort((a, b) => a - b);
+}
+
+async function renderDataBudget() {
+    const budget = await getDataBudget();
+
+    budgetEnabledInput.checked = budget.enabled;
+    budgetFields.classList.toggle('hidden', !budget.enabled);
+    budgetLimitInput.value = Math.round((budget.limitMB / 1024) * 100) / 100;
+    budgetDayInput.value = budget.billingDay;
+    budgetWarnInput.value = budget.warnAt.join(', ');
+    budgetWarnInput.classList.remove('invalid');
+    budgetAutoInput.checked = budget.autoAudio;
+    budgetAutoAtInput.value = budget.autoAudioAt;
+
+    updateBudgetStatus();
+}
+
+// Usage line in settings, and a warning under the modes once a threshold is reached
+async function updateBudgetStatus() {
+    const { budget, cycle, usedMB, percent, state } = await getDataBudgetStatus();
+
+    if (!budget.enabled || budget.limitMB <= 0) {
+        budgetStatus.classList.add('hidden');
+        return;
+    }
+
+    const resets = cycle.endsAt.toLocaleDateString(currentLang);
+    const usage = `${t('budgetUsed')}: ${formatData(usedMB)} / ${formatData(budget.limitMB)} (${Math.floor(percent)}%)`;
+    budgetUsageText.textContent = `${usage} · ${t('budgetResets')} ${resets}`;
+
+    const warned = percent >= Math.min(...budget.warnAt);
+    budgetStatus.textContent = state?.escalated ? `${usage} · ${t('budgetAlwaysOn')}` : usage;
+    budgetStatus.classList.toggle('warning', warned || !!state?.escalated);
+    budgetStatus.classList.toggle('hidden', !warned && !state?.escalated);
+}
+
+async function saveDataBudget() {
+    const warnAt = parseWarnThresholds(budgetWarnInput.value);
+    budgetWarnInput.classList.toggle('invalid', !warnAt);
+
+    const budget = await getDataBudget();
+    const limitGB = parseFloat(budgetLimitInput.value);
+    const billingDay = parseInt(budgetDayInput.value, 10);
+    const autoAudioAt = parseInt(budgetAutoAtInput.value, 10);
+
+    await chrome.storage.sync.set({
+        dataBudget: {
+            ...budget,
+            enabled: budgetEnabledInput.checked,
+            limitMB: limitGB > 0 ? Math.round(limitGB * 1024) : budget.limitMB,
+            billingDay: billingDay >= 1 && billingDay <= MAX_BILLING_DAY ? billingDay : budget.billingDay,
+            warnAt: warnAt || budget.warnAt,
+            autoAudio: budgetAutoInput.checked,
+            autoAudioAt: autoAudioAt >= 1 && autoAudioAt <= 100 ? autoAudioAt : budget.autoAudioAt
+        }
+    });
+}
+
+[budgetEnabledInput, budgetLimitInput, budgetDayInput, budgetWarnInput, budgetAutoInput, budgetAutoAtInput].forEach(input => {
+    input.addEventListener('change', saveDataBudget);
+});
+
+renderDataBudget();
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'sync' && changes.dataBudget) {
+        // Keep an invalid threshold list on screen so it can be fixed
+        if (budgetWarnInput.classList.contains('invalid')) {
+            budgetFields.classList.toggle('hidden', !budgetEnabledInput.checked);
+            updateBudgetStatus();
+        } else {
+            renderDataBudget();
+        }
+    }
+    if (namespace === 'local' && (changes.statsLogs || changes.bytesLogs || changes.videoBytesLogs || changes.dataBudgetState)) {
+        updateBudgetStatus();
+    }
+});
+
 function getCurrentColorValue() {
     // Check if a preset is active
     const activePreset = document.querySelector('.theme-btn.active');
@@ -521,125 +851,233 @@ function saveAndApplyTheme(type, value) {
     });
 }
 
-// --- Filter Rules Panel Logic ---
+// --- Schedule Logic ---
 
-const filterPanel = document.getElementById('filter-panel');
-const closeFilterBtn = document.getElementById('close-filter');
-const quickAddChannelBtn = document.getElementById('quick-add-channel');
-const newRuleInput = document.getElementById('new-rule-input');
-const addRuleBtn = document.getElementById('add-rule-btn');
+const scheduleList = document.getElementById('schedule-list');
+const scheduleDaysContainer = document.getElementById('schedule-days');
+const scheduleStartInput = document.getElementById('schedule-start');
+const scheduleEndInput = document.getElementById('schedule-end');
+const scheduleModeSelect = document.getElementById('schedule-mode');
+const addScheduleBtn = document.getElementById('add-schedule-btn');
+const scheduleStatus = document.getElementById('schedule-status');
 
-let currentVideoInfo = null;
+let scheduleRules = [];
+let selectedScheduleDays = [1, 2, 3, 4, 5]; // Monday - Friday
 
-closeFilterBtn.addEventListener('click', () => {
-    filterPanel.classList.remove('open');
-    document.body.classList.remove('panel-open');
+// Localized short day name (0 = Sunday)
+function getDayName(day) {
+    // January 7, 2024 was a Sunday
+    return new Intl.DateTimeFormat(currentLang, { weekday: 'short' }).format(new Date(2024, 0, 7 + day));
+}
+
+// Render day toggle buttons for the add schedule form
+function renderScheduleDays() {
+    scheduleDaysContainer.innerHTML = [0, 1, 2, 3, 4, 5, 6].map(day => `
+        <button class="rule-type-btn ${selectedScheduleDays.includes(day) ? 'active' : ''}" data-day="${day}">${escapeHtml(getDayName(day))}</button>
+    `).join('');
+
+    scheduleDaysContainer.querySelectorAll('.rule-type-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const day = parseInt(btn.dataset.day, 10);
+            if (selectedScheduleDays.includes(day)) {
+                selectedScheduleDays = selectedScheduleDays.filter(d => d !== day);
+            } else {
+                selectedScheduleDays.push(day);
+            }
+            btn.classList.toggle('active');
+        });
+    });
+}
+
+// Render saved schedule entries
+function renderScheduleList() {
+    if (scheduleRules.length > 0) {
+        scheduleList.innerHTML = scheduleRules.map(schedule => {
+            const days = [...schedule.days].sort().map(getDayName).join(', ');
+            return `
+            <div class="rule-item">
+                <span class="rule-label">
+                    <span class="rule-name" title="${escapeHtml(days)}">${escapeHtml(days)} · ${escapeHtml(schedule.start)}–${escapeHtml(schedule.end)}</span>
+                    <span class="rule-tag">${escapeHtml(t(MODE_LABELS[schedule.mode]))}</span>
+                </span>
+                <button class="remove-rule-btn" data-id="${escapeHtml(schedule.id)}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+        `;
+        }).join('');
+    } else {
+        scheduleList.innerHTML = `<div class="empty-state">${t('noSchedules')}</div>`;
+    }
+
+    scheduleList.querySelectorAll('.remove-rule-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const schedules = scheduleRules.filter(schedule => schedule.id !== btn.dataset.id);
+            chrome.storage.sync.set({ schedules: schedules });
+            showToast(t('ruleRemoved'));
+        });
+    });
+}
+
+// Show which schedule currently overrides the selected mode
+function updateScheduleStatus() {
+    const activeSchedule = getActiveSchedule(scheduleRules);
+    if (activeSchedule && activeSchedule.mode !== currentModeType) {
+        scheduleStatus.textContent = `${t('scheduleActive')}: ${t(MODE_LABELS[activeSchedule.mode])} (${t('until')} ${activeSchedule.end})`;
+        scheduleStatus.classList.remove('hidden');
+    } else {
+        scheduleStatus.classList.add('hidden');
+    }
+}
+
+// Load saved schedules
+chrome.storage.sync.get(['schedules'], (result) => {
+    scheduleRules = result.schedules || [];
+    renderScheduleList();
+    updateScheduleStatus();
+    updateNetworkStatus();
 });
 
-// Fetch current video info from content script with retry logic
-async function fetchCurrentVideoInfo(retryCount = 0) {
-    const currentChannelName = document.getElementById('current-channel-name');
-    const MAX_RETRIES = 3;
-    const RETRY_DELAY = 800;
+// Add a schedule entry
+addScheduleBtn.addEventListener('click', () => {
+    const start = scheduleStartInput.value;
+    const end = scheduleEndInput.value;
 
-    try {
-        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-        const currentTab = tabs[0];
+    if (selectedScheduleDays.length === 0 || parseTimeOfDay(start) === null ||
+        parseTimeOfDay(end) === null || start === end) {
+        showToast(t('invalidSchedule'));
+        return;
+    }
 
-        if (!currentTab?.url?.match(/youtube\.com\/watch/)) {
-            currentChannelName.textContent = t('notOnVideo');
-            quickAddChannelBtn.disabled = true;
-            return;
-        }
+    const schedules = [...scheduleRules, {
+        id: Date.now().toString(36),
+        days: [...selectedScheduleDays],
+        start: start,
+        end: end,
+        mode: scheduleModeSelect.value,
+        enabled: true
+    }];
 
-        // Show loading state on first attempt
-        if (retryCount === 0) {
-            currentChannelName.textContent = '...';
-        }
+    chrome.storage.sync.set({ schedules: schedules });
+    showToast(t('ruleAdded'));
+});
 
-        const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'getVideoInfo' });
+// Keep schedule UI in sync with storage
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'sync' && changes.schedules) {
+        scheduleRules = changes.schedules.newValue || [];
+        renderScheduleList();
+        updateScheduleStatus();
+        updateNetworkStatus();
+    }
+});
 
-        if (response?.channelName) {
-            currentVideoInfo = response;
-            currentChannelName.textContent = response.channelName;
-            quickAddChannelBtn.disabled = false;
+// --- Network-Aware Mode ---
+// Open tabs and the badge follow connection changes themselves (see network.js)
 
-            // Check if already added
-            updateQuickAddButtonState();
-        } else {
-            // Retry if channel not found yet (YouTube might still be loading)
-            if (retryCount < MAX_RETRIES) {
-                setTimeout(() => fetchCurrentVideoInfo(retryCount + 1), RETRY_DELAY);
-            } else {
-                currentChannelName.textContent = t('channelNotFound');
-                quickAddChannelBtn.disabled = true;
-            }
-        }
-    } catch (error) {
-        // Retry on error (content script might not be ready)
-        if (retryCount < MAX_RETRIES) {
-            setTimeout(() => fetchCurrentVideoInfo(retryCount + 1), RETRY_DELAY);
-        } else {
-            currentChannelName.textContent = t('notOnVideo');
-            quickAddChannelBtn.disabled = true;
-        }
+const networkAwareInput = document.getElementById('network-aware-input');
+const networkStatus = document.getElementById('network-status');
+
+let networkAware = false;
+
+// Show when the connection overrides the selected mode and schedules
+function updateNetworkStatus() {
+    const constraint = networkAware ? getConnectionConstraint() : null;
+    if (constraint && getEffectiveModeType(currentModeType, scheduleRules) !== 'always') {
+        networkStatus.textContent = `${t(CONNECTION_LABELS[constraint])}: ${t(MODE_LABELS.always)}`;
+        networkStatus.classList.remove('hidden');
+    } else {
+        networkStatus.classList.add('hidden');
     }
 }
 
-// Update quick add button state based on current rules
-async function updateQuickAddButtonState() {
-    if (!currentVideoInfo?.channelId) return;
+chrome.storage.sync.get(['networkAware'], (result) => {
+    networkAware = !!result.networkAware;
+    networkAwareInput.checked = networkAware;
+    updateNetworkStatus();
+});
 
-    const result = await chrome.storage.sync.get(['filterRules']);
-    const rules = result.filterRules || { whitelist: { channels: [], keywords: [] } };
+networkAwareInput.addEventListener('change', () => {
+    chrome.storage.sync.set({ networkAware: networkAwareInput.checked });
+});
 
-    const inWhitelist = rules.whitelist?.channels?.some(c => c.id === currentVideoInfo.channelId) || false;
+navigator.connection?.addEventListener('change', updateNetworkStatus);
 
-    quickAddChannelBtn.classList.toggle('active', inWhitelist);
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'sync' && changes.networkAware) {
+        networkAware = !!changes.networkAware.newValue;
+        networkAwareInput.checked = networkAware;
+        updateNetworkStatus();
+    }
+});
 
-    const btnSpan = quickAddChannelBtn.querySelector('span');
-    if (btnSpan) btnSpan.textContent = inWhitelist ? t('remove') : t('add');
-}
+// --- Hidden Tab Audio ---
+// Switching on visibility changes is done by each tab (see onVisibilityChange() in content.js)
 
-// Load and display filter rules (whitelist-only)
-async function loadFilterRules() {
-    const result = await chrome.storage.sync.get(['filterRules']);
-    const rules = result.filterRules || {
-        whitelist: { channels: [], keywords: [] }
-    };
+const hiddenTabAudioInput = document.getElementById('hidden-tab-audio-input');
+const hiddenTabGraceInput = document.getElementById('hidden-tab-grace-input');
 
-    // Render the whitelist
-    renderRulesList(rules);
-}
+const HIDDEN_TAB_GRACE_MAX_SECONDS = 600;
 
-function renderRulesList(rules) {
-    const whitelist = rules.whitelist || { channels: [], keywords: [] };
+chrome.storage.sync.get(['hiddenTabAudio', 'hiddenTabGraceSeconds'], (result) => {
+    hiddenTabAudioInput.checked = !!result.hiddenTabAudio;
+    if (result.hiddenTabGraceSeconds !== undefined) {
+        hiddenTabGraceInput.value = result.hiddenTabGraceSeconds;
+    }
+});
 
-    // Render channels
-    const channelsList = document.getElementById('channels-list');
-    if (whitelist.channels?.length > 0) {
-        channelsList.innerHTML = whitelist.channels.map(channel => `
-            <div class="rule-item" data-id="${escapeHtml(channel.id)}" data-type="channel">
-                <span class="rule-name">${escapeHtml(channel.name)}</span>
-                <button class="remove-rule-btn" data-id="${escapeHtml(channel.id)}" data-type="channel">
-                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <line x1="18" y1="6" x2="6" y2="18"></line>
-                        <line x1="6" y1="6" x2="18" y2="18"></line>
-                    </svg>
-                </button>
-            </div>
-        `).join('');
-    } else {
-        channelsList.innerHTML = `<div class="empty-state">${t('noChannels')}</div>`;
+hiddenTabAudioInput.addEventListener('change', () => {
+    chrome.storage.sync.set({ hiddenTabAudio: hiddenTabAudioInput.checked });
+});
+
+hiddenTabGraceInput.addEventListener('change', () => {
+    const seconds = parseInt(hiddenTabGraceInput.value, 10);
+    if (!(seconds >= 0 && seconds <= HIDDEN_TAB_GRACE_MAX_SECONDS)) {
+        showToast(t('invalidGracePeriod'));
+        return;
     }
+    chrome.storage.sync.set({ hiddenTabGraceSeconds: seconds });
+});
 
-    // Render keywords
-    const keywordsList = document.getElementById('keywords-list');
-    if (whitelist.keywords?.length > 0) {
-        keywordsList.innerHTML = whitelist.keywords.map(kw => `
-            <div class="rule-item" data-keyword="${escapeHtml(kw.keyword)}" data-type="keyword">
-                <span class="rule-name">"${escapeHtml(kw.keyword)}"</span>
-                <button class="remove-rule-btn" data-keyword="${escapeHtml(kw.keyword)}" data-type="keyword">
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace !== 'sync') return;
+    if (changes.hiddenTabAudio) {
+        hiddenTabAudioInput.checked = !!changes.hiddenTabAudio.newValue;
+    }
+    if (changes.hiddenTabGraceSeconds?.newValue !== undefined) {
+        hiddenTabGraceInput.value = changes.hiddenTabGraceSeconds.newValue;
+    }
+});
+
+// --- Profile Logic ---
+
+const profileSelect = document.getElementById('profile-select');
+const profileList = document.getElementById('profile-list');
+const profileNameInput = document.getElementById('profile-name-input');
+const addProfileBtn = document.getElementById('add-profile-btn');
+
+// Fill the header picker and the profile list in settings
+async function renderProfiles() {
+    const { profiles, activeProfileId } = await getProfiles();
+
+    const noneOption = activeProfileId ? '' : `<option value="" disabled>${escapeHtml(t('noProfile'))}</option>`;
+    profileSelect.innerHTML = noneOption + profiles.map(profile =>
+        `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`
+    ).join('');
+    profileSelect.value = activeProfileId || '';
+    profileSelect.classList.toggle('hidden', profiles.length === 0);
+
+    if (profiles.length > 0) {
+        profileList.innerHTML = profiles.map(profile => `
+            <div class="rule-item">
+                <span class="rule-label">
+                    <span class="rule-name" title="${escapeHtml(profile.name)}">${escapeHtml(profile.name)}</span>
+                    ${profile.id === activeProfileId ? `<span class="rule-tag">${escapeHtml(t('activeProfile'))}</span>` : ''}
+                </span>
+                <button class="remove-rule-btn" data-id="${escapeHtml(profile.id)}">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <line x1="18" y1="6" x2="6" y2="18"></line>
                         <line x1="6" y1="6" x2="18" y2="18"></line>
@@ -648,70 +1086,1224 @@ function renderRulesList(rules) {
             </div>
         `).join('');
     } else {
-        keywordsList.innerHTML = `<div class="empty-state">${t('noKeywords')}</div>`;
+        profileList.innerHTML = `<div class="empty-state">${t('noProfiles')}</div>`;
     }
 
-    // Add event listeners for remove buttons
-    document.querySelectorAll('.remove-rule-btn').forEach(btn => {
-        btn.addEventListener('click', () => removeRule(btn.dataset));
+    profileList.querySelectorAll('.remove-rule-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await deleteProfile(btn.dataset.id);
+            showToast(t('profileDeleted'));
+        });
     });
 }
 
-// Add a new rule to whitelist
-async function addRule(ruleType, value) {
-    if (!value) return;
+renderProfiles();
 
-    const result = await chrome.storage.sync.get(['filterRules']);
-    const rules = result.filterRules || {
-        whitelist: { channels: [], keywords: [] }
-    };
+// Switch profile from the header picker
+profileSelect.addEventListener('change', async () => {
+    try {
+        if (!(await switchProfile(profileSelect.value))) return;
+    } catch (error) {
+        console.error('[Audio Mode] Failed to switch profile:', error);
+        showToast(t('profileSwitchFailed'));
+        renderProfiles();
+        return;
+    }
+
+    // Mode, rules, quality and theme may all have changed - reload the popup to show them
+    location.reload();
+});
 
-    // Ensure whitelist exists
-    if (!rules.whitelist) {
-        rules.whitelist = { channels: [], keywords: [] };
+// Save the current settings as a new profile
+addProfileBtn.addEventListener('click', async () => {
+    const name = profileNameInput.value.trim();
+    if (!name) {
+        showToast(t('enterProfileName'));
+        return;
     }
 
-    if (ruleType === 'channel') {
-        // For channel, value should be { id, name }
-        if (!rules.whitelist.channels.some(c => c.id === value.id)) {
-            rules.whitelist.channels.push({
-                id: value.id,
-                name: value.name,
-                addedAt: Date.now()
-            });
-        }
-    } else {
-        // For keyword
-        const keyword = typeof value === 'string' ? value.trim() : value;
-        if (keyword && !rules.whitelist.keywords.some(k => k.keyword.toLowerCase() === keyword.toLowerCase())) {
-            rules.whitelist.keywords.push({
-                keyword: keyword,
-                caseSensitive: false,
-                addedAt: Date.now()
-            });
+    const { profiles } = await getProfiles();
+    if (profiles.some(profile => profile.name.toLowerCase() === name.toLowerCase())) {
+        showToast(t('alreadyAdded'));
+        return;
+    }
+
+    await createProfile(name);
+    profileNameInput.value = '';
+    showToast(t('profileSaved'));
+});
+
+// Keep profile UI in sync with storage (e.g. switched with the keyboard shortcut)
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && (changes.profiles || changes.activeProfileId)) {
+        renderProfiles();
+    }
+});
+
+// --- Channel Profiles ---
+// Quality, speed and volume per channel (applied by content.js, see getChannelProfile there)
+
+const channelProfileFields = {
+    preferredQuality: document.getElementById('channel-preferred-quality'),
+    audioQuality: document.getElementById('channel-audio-quality'),
+    playbackRate: document.getElementById('channel-playback-rate'),
+    volume: document.getElementById('channel-volume')
+};
+const saveChannelProfileBtn = document.getElementById('save-channel-profile-btn');
+const removeChannelProfileBtn = document.getElementById('remove-channel-profile-btn');
+const channelProfileList = document.getElementById('channel-profile-list');
+
+// Settings stored as numbers (the selects hold strings)
+const NUMERIC_CHANNEL_PROFILE_FIELDS = ['playbackRate', 'volume'];
+
+let channelProfiles = [];
+
+function findChannelProfile(info) {
+    if (!info?.channelId) return null;
+    return channelProfiles.find(profile => matchChannelRule(profile, info)) || null;
+}
+
+// Short summary of a channel profile, e.g. "480p · 144p · 1.5x"
+function describeChannelProfile(profile) {
+    return Object.entries(channelProfileFields)
+        .filter(([field]) => profile[field] !== null && profile[field] !== undefined)
+        .map(([field, select]) => {
+            const option = Array.from(select.options).find(o => o.value === String(profile[field]));
+            return `${select.closest('label').querySelector('span').textContent}: ${option?.textContent || profile[field]}`;
+        })
+        .join(' · ');
+}
+
+// Fill the form for the current channel and list all channel profiles
+function renderChannelProfiles() {
+    const profile = findChannelProfile(currentVideoInfo);
+
+    Object.entries(channelProfileFields).forEach(([field, select]) => {
+        select.value = profile?.[field] != null ? String(profile[field]) : '';
+        select.disabled = !currentVideoInfo?.channelId;
+    });
+    saveChannelProfileBtn.disabled = !currentVideoInfo?.channelId;
+    removeChannelProfileBtn.classList.toggle('hidden', !profile);
+
+    channelProfileList.innerHTML = channelProfiles.map((entry, index) => `
+        <div class="rule-item">
+            <span class="rule-label" title="${escapeHtml(describeChannelProfile(entry))}">
+                <span class="rule-name">${escapeHtml(entry.name)}</span>
+                <span class="rule-stats">${escapeHtml(describeChannelProfile(entry))}</span>
+            </span>
+            <button class="remove-rule-btn" data-index="${index}">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>
+        </div>
+    `).join('');
+
+    channelProfileList.querySelectorAll('.remove-rule-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            saveChannelProfiles(channelProfiles.filter((_, index) => index !== Number(btn.dataset.index)));
+            showToast(t('channelProfileRemoved'));
+        });
+    });
+}
+
+function saveChannelProfiles(profiles) {
+    channelProfiles = profiles;
+    chrome.storage.sync.set({ channelProfiles: profiles });
+    renderChannelProfiles();
+}
+
+chrome.storage.sync.get(['channelProfiles'], (result) => {
+    channelProfiles = result.channelProfiles || [];
+    renderChannelProfiles();
+});
+
+// Save the form for the current channel (all "Default" removes the profile)
+saveChannelProfileBtn.addEventListener('click', () => {
+    if (!currentVideoInfo?.channelId) return;
+
+    const settings = {};
+    Object.entries(channelProfileFields).forEach(([field, select]) => {
+        const value = select.value;
+        settings[field] = value === '' ? null : (NUMERIC_CHANNEL_PROFILE_FIELDS.includes(field) ? Number(value) : value);
+    });
+
+    const existing = findChannelProfile(currentVideoInfo);
+    const others = channelProfiles.filter(profile => profile !== existing);
+    if (Object.values(settings).every(value => value === null)) {
+        saveChannelProfiles(others);
+        showToast(t('channelProfileRemoved'));
+        return;
+    }
+
+    saveChannelProfiles([...others, {
+        id: currentVideoInfo.channelId,
+        name: currentVideoInfo.channelName,
+        ...getChannelForms(currentVideoInfo),
+        ...settings
+    }]);
+    showToast(t('channelProfileSaved'));
+});
+
+removeChannelProfileBtn.addEventListener('click', () => {
+    const existing = findChannelProfile(currentVideoInfo);
+    saveChannelProfiles(channelProfiles.filter(profile => profile !== existing));
+    showToast(t('channelProfileRemoved'));
+});
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'sync' && changes.channelProfiles) {
+        channelProfiles = changes.channelProfiles.newValue || [];
+        renderChannelProfiles();
+    }
+});
+
+// --- Backup Logic (settings export / import) ---
+
+const exportSettingsBtn = document.getElementById('export-settings-btn');
+const importSettingsBtn = document.getElementById('import-settings-btn');
+const settingsFileInput = document.getElementById('settings-file-input');
+const settingsImportPreview = document.getElementById('settings-import-preview');
+const importModeBtns = document.querySelectorAll('#import-mode-toggle .rule-type-btn');
+const importModeHint = document.getElementById('import-mode-hint');
+const settingsImportChanges = document.getElementById('settings-import-changes');
+const settingsImportCancelBtn = document.getElementById('settings-import-cancel');
+const settingsImportApplyBtn = document.getElementById('settings-import-apply');
+
+// Export file layout - bump the version when it changes (older files stay importable)
+const SETTINGS_EXPORT_FORMAT = 'youtube-audio-mode-settings';
+const SETTINGS_EXPORT_VERSION = 1;
+
+// Settings included in an export (all in chrome.storage.sync)
+const SETTINGS_EXPORT_KEYS = [
+    'audioModeType',
+    'filterRules',
+    'schedules',
+    'channelProfiles',
+    'dataBudget',
+    'historyEnabled',
+    'historyRetentionDays',
+    'networkAware',
+    'hiddenTabAudio',
+    'hiddenTabGraceSeconds',
+    'preferredQuality',
+    'audioQuality',
+    'backgroundType',
+    'backgroundValue',
+    'language'
+];
+
+// Single-value settings: message key for the name and how to show a value
+const SETTINGS_IMPORT_LABELS = {
+    audioModeType: { label: 'audioMode', format: value => t(MODE_LABELS[value]) },
+    networkAware: { label: 'networkAware', format: value => t(value ? 'settingOn' : 'settingOff') },
+    hiddenTabAudio: { label: 'hiddenTabAudio', format: value => t(value ? 'settingOn' : 'settingOff') },
+    hiddenTabGraceSeconds: { label: 'hiddenTabGrace', format: value => `${value} ${t('seconds')}` },
+    dataBudget: {
+        label: 'dataBudget',
+        format: value => (value.enabled ? `${t('settingOn')} · ${formatData(value.limitMB)}` : t('settingOff'))
+    },
+    historyEnabled: { label: 'historyEnabled', format: value => t(value ? 'settingOn' : 'settingOff') },
+    historyRetentionDays: { label: 'historyKeptFor', format: value => `${value} ${t('days')}` },
+    preferredQuality: {
+        label: 'preferredQuality',
+        format: value => Array.from(qualitySelect.options).find(o => o.value === value)?.textContent || value
+    },
+    audioQuality: {
+        label: 'audioQuality',
+        format: value => Array.from(audioQualitySelect.options).find(o => o.value === value)?.textContent || value
+    },
+    backgroundType: { label: 'backgroundType', format: value => t(value) },
+    backgroundValue: {
+        label: 'appearance',
+        format: value => value.length > 32 ? `${value.slice(0, 32)}…` : value
+    },
+    language: { label: 'language', format: value => (value === 'ar' ? 'العربية' : 'English') }
+};
+
+const IMPORT_MODE_HINTS = {
+    merge: 'importMergeHint',
+    replace: 'importReplaceHint'
+};
+
+// Current values of all exported settings (filter rules may be split across items, see storage.js)
+async function getExportableSettings() {
+    const settings = await chrome.storage.sync.get(SETTINGS_EXPORT_KEYS);
+    const filterRules = await getFilterRules();
+    if (filterRules) {
+        settings.filterRules = filterRules;
+    } else {
+        delete settings.filterRules;
+    }
+    return settings;
+}
+
+// 'merge' adds rules and schedules and keeps other settings, 'replace' overwrites everything in the file
+let settingsImportMode = 'merge';
+
+// Validated settings from the chosen file
+let pendingImportSettings = null;
+
+// A channel profile from a file: a channel to match, and only values the form offers
+function isValidChannelProfile(profile) {
+    if (!profile?.id || typeof profile.id !== 'string' || typeof profile.name !== 'string') return false;
+    return Object.entries(channelProfileFields).every(([field, select]) => {
+        const value = profile[field];
+        if (value === null || value === undefined) return true;
+        if (NUMERIC_CHANNEL_PROFILE_FIELDS.includes(field) !== (typeof value === 'number')) return false;
+        return Array.from(select.options).some(o => o.value !== '' && o.value === String(value));
+    });
+}
+
+// A data budget from a file: fields with unusable values get the defaults
+function readDataBudgetExport(budget) {
+    const valid = { ...DATA_BUDGET_DEFAULTS };
+    if (typeof budget.enabled === 'boolean') valid.enabled = budget.enabled;
+    if (typeof budget.autoAudio === 'boolean') valid.autoAudio = budget.autoAudio;
+    if (Number.isFinite(budget.limitMB) && budget.limitMB > 0) valid.limitMB = budget.limitMB;
+    if (Number.isInteger(budget.billingDay) && budget.billingDay >= 1 && budget.billingDay <= MAX_BILLING_DAY) {
+        valid.billingDay = budget.billingDay;
+    }
+    if (Array.isArray(budget.warnAt) && budget.warnAt.every(value => typeof value === 'number')) {
+        valid.warnAt = parseWarnThresholds(budget.warnAt.join(',')) || valid.warnAt;
+    }
+    if (Number.isInteger(budget.autoAudioAt) && budget.autoAudioAt >= 1 && budget.autoAudioAt <= 100) {
+        valid.autoAudioAt = budget.autoAudioAt;
+    }
+    return valid;
+}
+
+/**
+ * Check an export file and keep only known settings with usable values
+ * @returns {Object} Settings to import
+ * @throws {Error} Message is the key of the error to show
+ */
+function readSettingsExport(data) {
+    if (data?.format !== SETTINGS_EXPORT_FORMAT || typeof data.settings !== 'object' || !data.settings) {
+        throw new Error('importInvalidFile');
+    }
+    if (!(data.version <= SETTINGS_EXPORT_VERSION)) {
+        throw new Error('importNewerVersion');
+    }
+
+    const settings = data.settings;
+    const valid = {};
+
+    if (MODE_LABELS[settings.audioModeType]) {
+        valid.audioModeType = settings.audioModeType;
+    }
+    if (settings.filterRules && typeof settings.filterRules === 'object') {
+        valid.filterRules = normalizeRules(settings.filterRules);
+    }
+    if (Array.isArray(settings.schedules)) {
+        valid.schedules = settings.schedules.filter(schedule =>
+            schedule?.id && Array.isArray(schedule.days) && MODE_LABELS[schedule.mode] &&
+            parseTimeOfDay(schedule.start) !== null && parseTimeOfDay(schedule.end) !== null
+        );
+    }
+    if (Array.isArray(settings.channelProfiles)) {
+        valid.channelProfiles = settings.channelProfiles.filter(isValidChannelProfile);
+    }
+    if (settings.dataBudget && typeof settings.dataBudget === 'object') {
+        valid.dataBudget = readDataBudgetExport(settings.dataBudget);
+    }
+    if (typeof settings.historyEnabled === 'boolean') {
+        valid.historyEnabled = settings.historyEnabled;
+    }
+    if (HISTORY_RETENTION_OPTIONS.includes(settings.historyRetentionDays)) {
+        valid.historyRetentionDays = settings.historyRetentionDays;
+    }
+    if (typeof settings.networkAware === 'boolean') {
+        valid.networkAware = settings.networkAware;
+    }
+    if (typeof settings.hiddenTabAudio === 'boolean') {
+        valid.hiddenTabAudio = settings.hiddenTabAudio;
+    }
+    if (Number.isInteger(settings.hiddenTabGraceSeconds) &&
+        settings.hiddenTabGraceSeconds >= 0 && settings.hiddenTabGraceSeconds <= HIDDEN_TAB_GRACE_MAX_SECONDS) {
+        valid.hiddenTabGraceSeconds = settings.hiddenTabGraceSeconds;
+    }
+    if (Array.from(qualitySelect.options).some(o => o.value === settings.preferredQuality)) {
+        valid.preferredQuality = settings.preferredQuality;
+    }
+    if (Array.from(audioQualitySelect.options).some(o => o.value === settings.audioQuality)) {
+        valid.audioQuality = settings.audioQuality;
+    }
+    if (['color', 'image'].includes(settings.backgroundType) && typeof settings.backgroundValue === 'string') {
+        valid.backgroundType = settings.backgroundType;
+        valid.backgroundValue = settings.backgroundValue;
+    }
+    if (['en', 'ar'].includes(settings.language)) {
+        valid.language = settings.language;
+    }
+
+    return valid;
+}
+
+// Add imported rules to the current ones, skipping duplicates like rules added by hand
+function mergeFilterRules(currentRules, importedRules) {
+    const merged = normalizeRules(structuredClone(currentRules || {}));
+
+    ['whitelist', 'blacklist'].forEach(listType => {
+        const list = merged[listType];
+        const source = importedRules[listType];
+
+        source.channels.forEach(channel => insertRule(list, 'channel', channel));
+        source.keywords.forEach(keyword => insertRule(list, 'keyword', keyword));
+        source.categories.forEach(category => insertRule(list, 'category', category?.category || ''));
+        source.durations.forEach(duration => insertRule(list, 'duration', duration));
+        source.compound.forEach(rule => insertRule(list, 'compound', { expression: rule.expression }));
+        ['playlists', 'videos'].forEach(key => {
+            source[key]
+                .filter(item => item?.id && !list[key].some(existing => existing.id === item.id))
+                .forEach(item => list[key].push(item));
+        });
+    });
+
+    return merged;
+}
+
+/**
+ * Work out what an import would save
+ * @param {Object} current - Current settings from storage
+ * @param {Object} imported - Settings from readSettingsExport()
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Object} { values, changes } - values to save, changes as display text
+ */
+function planSettingsImport(current, imported, mode) {
+    const values = {};
+    const changes = [];
+
+    if (imported.filterRules) {
+        const currentRules = normalizeRules(structuredClone(current.filterRules || {}));
+        const rules = mode === 'replace'
+            ? imported.filterRules
+            : mergeFilterRules(currentRules, imported.filterRules);
+
+        if (JSON.stringify(rules) !== JSON.stringify(currentRules)) {
+            values.filterRules = rules;
+            ['whitelist', 'blacklist']
+                .filter(listType => JSON.stringify(rules[listType]) !== JSON.stringify(currentRules[listType]))
+                .forEach(listType => {
+                    changes.push(`${t(listType)}: ${countRules(currentRules[listType])} → ${countRules(rules[listType])}`);
+                });
+        }
+    }
+
+    if (imported.schedules) {
+        const currentSchedules = current.schedules || [];
+        const sameWindow = (a, b) => a.id === b.id ||
+            (a.start === b.start && a.end === b.end && a.mode === b.mode && a.days.join() === b.days.join());
+        const schedules = mode === 'replace'
+            ? imported.schedules
+            : [...currentSchedules, ...imported.schedules.filter(s => !currentSchedules.some(c => sameWindow(c, s)))];
+
+        if (JSON.stringify(schedules) !== JSON.stringify(currentSchedules)) {
+            values.schedules = schedules;
+            changes.push(`${t('schedule')}: ${currentSchedules.length} → ${schedules.length}`);
+        }
+    }
+
+    if (imported.channelProfiles) {
+        const currentProfiles = current.channelProfiles || [];
+        // One profile per channel - merging keeps the current one
+        const sameChannel = (a, b) => matchChannelRule(a, { channelId: b.id, channelUcid: b.ucid, channelHandle: b.handle });
+        const channelProfiles = mode === 'replace'
+            ? imported.channelProfiles
+            : [...currentProfiles, ...imported.channelProfiles.filter(p => !currentProfiles.some(c => sameChannel(c, p)))];
+
+        if (JSON.stringify(channelProfiles) !== JSON.stringify(currentProfiles)) {
+            values.channelProfiles = channelProfiles;
+            changes.push(`${t('channelProfiles')}: ${currentProfiles.length} → ${channelProfiles.length}`);
+        }
+    }
+
+    // Single-value settings are only overwritten when replacing
+    if (mode === 'replace') {
+        Object.entries(SETTINGS_IMPORT_LABELS).forEach(([key, { label, format }]) => {
+            // Compared as JSON - some settings are objects (dataBudget)
+            if (imported[key] === undefined || JSON.stringify(imported[key]) === JSON.stringify(current[key])) return;
+            values[key] = imported[key];
+            const before = current[key] === undefined ? '—' : format(current[key]);
+            changes.push(`${t(label)}: ${before} → ${format(imported[key])}`);
+        });
+    }
+
+    return { values, changes };
+}
+
+async function renderSettingsImportPreview() {
+    const current = await getExportableSettings();
+    const { changes } = planSettingsImport(current, pendingImportSettings, settingsImportMode);
+
+    if (changes.length > 0) {
+        settingsImportChanges.innerHTML = changes.map(change => `
+            <div class="rule-item">
+                <span class="rule-name">${escapeHtml(change)}</span>
+            </div>
+        `).join('');
+    } else {
+        settingsImportChanges.innerHTML = `<div class="empty-state">${t('importNoChanges')}</div>`;
+    }
+    settingsImportApplyBtn.disabled = changes.length === 0;
+}
+
+function closeSettingsImport() {
+    pendingImportSettings = null;
+    settingsImportPreview.classList.add('hidden');
+    settingsFileInput.value = '';
+}
+
+// Download all settings as a JSON file
+exportSettingsBtn.addEventListener('click', async () => {
+    const settings = await getExportableSettings();
+    const data = {
+        format: SETTINGS_EXPORT_FORMAT,
+        version: SETTINGS_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: settings
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `youtube-audio-mode-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+
+importSettingsBtn.addEventListener('click', () => settingsFileInput.click());
+
+settingsFileInput.addEventListener('change', async () => {
+    const file = settingsFileInput.files[0];
+    if (!file) return;
+
+    try {
+        pendingImportSettings = readSettingsExport(JSON.parse(await file.text()));
+    } catch (error) {
+        console.error('[Audio Mode] Failed to read settings file:', error);
+        showToast(t(error.message === 'importNewerVersion' ? 'importNewerVersion' : 'importInvalidFile'));
+        closeSettingsImport();
+        return;
+    }
+
+    await renderSettingsImportPreview();
+    settingsImportPreview.classList.remove('hidden');
+});
+
+importModeBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        importModeBtns.forEach(other => other.classList.remove('active'));
+        btn.classList.add('active');
+        settingsImportMode = btn.dataset.importMode;
+        // Keep data-i18n in sync so language switches show the right hint
+        importModeHint.setAttribute('data-i18n', IMPORT_MODE_HINTS[settingsImportMode]);
+        importModeHint.textContent = t(IMPORT_MODE_HINTS[settingsImportMode]);
+        renderSettingsImportPreview();
+    });
+});
+
+settingsImportCancelBtn.addEventListener('click', closeSettingsImport);
+
+settingsImportApplyBtn.addEventListener('click', async () => {
+    const current = await getExportableSettings();
+    const { values } = planSettingsImport(current, pendingImportSettings, settingsImportMode);
+    const { filterRules, ...otherValues } = values;
+
+    try {
+        await chrome.storage.sync.set(otherValues);
+        if (filterRules) {
+            await saveFilterRules(filterRules);
+        }
+    } catch (error) {
+        // e.g. the rules no longer fit in sync storage
+        console.error('[Audio Mode] Failed to import settings:', error);
+        showToast(t('importFailed'));
+        return;
+    }
+
+    // Content scripts pick up mode, rules and schedules from storage;
+    // appearance and language are pushed to the open YouTube tab
+    if (values.backgroundType || values.backgroundValue) {
+        saveAndApplyTheme(
+            values.backgroundType || current.backgroundType || 'color',
+            values.backgroundValue || current.backgroundValue
+        );
+    }
+    if (values.language) {
+        await setLanguage(values.language);
+    }
+
+    showToast(t('settingsImported'));
+    closeSettingsImport();
+
+    // Reload so every section of the popup shows the imported values
+    setTimeout(() => location.reload(), 1000);
+});
+
+// --- Filter Rules Panel Logic ---
+
+const filterPanel = document.getElementById('filter-panel');
+const closeFilterBtn = document.getElementById('close-filter');
+const quickRuleBtns = document.querySelectorAll('.quick-btn[data-rule]');
+const listTabs = document.querySelectorAll('.list-tab');
+const newRuleInput = document.getElementById('new-rule-input');
+const addRuleBtn = document.getElementById('add-rule-btn');
+const matchTypeBtns = document.querySelectorAll('#match-type-toggle .rule-type-btn');
+const caseSensitiveInput = document.getElementById('case-sensitive-input');
+const matchTypeHint = document.getElementById('match-type-hint');
+const ruleKindSelect = document.getElementById('rule-kind-select');
+const keywordRuleFields = document.getElementById('keyword-rule-fields');
+const categoryRuleFields = document.getElementById('category-rule-fields');
+const durationRuleFields = document.getElementById('duration-rule-fields');
+const newCategoryInput = document.getElementById('new-category-input');
+const addCategoryBtn = document.getElementById('add-category-btn');
+const durationOperatorSelect = document.getElementById('duration-operator-select');
+const durationMinutesInput = document.getElementById('duration-minutes-input');
+const addDurationBtn = document.getElementById('add-duration-btn');
+const openOptionsBtn = document.getElementById('open-options-btn');
+const storageWarning = document.getElementById('storage-warning');
+const storageWarningText = document.getElementById('storage-warning-text');
+const channelSuggestionsSection = document.getElementById('channel-suggestions-section');
+const channelSuggestionsList = document.getElementById('channel-suggestions-list');
+const keywordInputGroup = document.getElementById('keyword-input-group');
+const compoundRuleFields = document.getElementById('compound-rule-fields');
+const compoundOpBtns = document.querySelectorAll('#compound-op-toggle .rule-type-btn');
+const compoundConditionsContainer = document.getElementById('compound-conditions');
+const compoundChannelOptions = document.getElementById('compound-channel-options');
+const addConditionBtn = document.getElementById('add-condition-btn');
+const saveCompoundBtn = document.getElementById('save-compound-btn');
+const cancelCompoundBtn = document.getElementById('cancel-compound-btn');
+
+let currentVideoInfo = null;
+
+// Rule list shown in the filter panel: 'whitelist' or 'blacklist'
+let currentListType = 'whitelist';
+
+// Per-rule hits, last match and listening time, keyed by getRuleKey() (written by content.js)
+let ruleStats = {};
+
+// Keyword match type for new rules: 'contains', 'word', 'wildcard' or 'regex'
+let currentMatchType = 'contains';
+
+const MATCH_TYPE_HINTS = {
+    contains: 'matchContainsHint',
+    word: 'matchWordHint',
+    wildcard: 'matchWildcardHint',
+    regex: 'matchRegexHint'
+};
+
+// Show the input fields for the selected rule kind
+// (compound rules reuse the keyword match type and case options)
+function updateRuleKindFields() {
+    const kind = ruleKindSelect.value;
+    keywordRuleFields.classList.toggle('hidden', kind === 'category' || kind === 'duration');
+    keywordInputGroup.classList.toggle('hidden', kind === 'compound');
+    categoryRuleFields.classList.toggle('hidden', kind !== 'category');
+    durationRuleFields.classList.toggle('hidden', kind !== 'duration');
+    compoundRuleFields.classList.toggle('hidden', kind !== 'compound');
+}
+
+ruleKindSelect.addEventListener('change', updateRuleKindFields);
+
+// Quick-add rule types: list array, current video ID/name, rule matcher and button labels [whitelist, blacklist]
+const QUICK_RULE_TYPES = {
+    channel: {
+        key: 'channels',
+        getId: info => info?.channelId,
+        getName: info => info?.channelName,
+        // Channel rules match by UC ID or @handle, and store both when known
+        matches: (rule, info) => matchChannelRule(rule, info),
+        getExtra: info => getChannelForms(info),
+        labels: ['alwaysEnable', 'alwaysDisable']
+    },
+    video: {
+        key: 'videos',
+        getId: info => info?.videoId,
+        getName: info => info?.videoTitle,
+        matches: (rule, info) => rule.id === info?.videoId,
+        getExtra: () => ({}),
+        labels: ['alwaysAudio', 'alwaysVideo']
+    },
+    playlist: {
+        key: 'playlists',
+        getId: info => info?.playlistId,
+        getName: info => info?.playlistTitle || info?.playlistId,
+        matches: (rule, info) => rule.id === info?.playlistId,
+        getExtra: () => ({}),
+        labels: ['alwaysAudio', 'alwaysVideo']
+    }
+};
+
+// UC ID and @handle of the video's channel, for the forms that are known
+function getChannelForms(info) {
+    const forms = {};
+    if (info?.channelUcid) forms.ucid = info.channelUcid;
+    if (info?.channelHandle) forms.handle = info.channelHandle;
+    return forms;
+}
+
+// Default (empty) filter rules structure
+function createEmptyRules() {
+    return normalizeRules({});
+}
+
+// Count all rules in a list
+function countRules(list) {
+    return RULE_LIST_KEYS.reduce((total, key) => total + (list[key]?.length || 0), 0);
+}
+
+// Switch keyword match type
+matchTypeBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        matchTypeBtns.forEach(other => other.classList.remove('active'));
+        btn.classList.add('active');
+        currentMatchType = btn.dataset.match;
+        // Keep data-i18n in sync so language switches show the right hint
+        matchTypeHint.setAttribute('data-i18n', MATCH_TYPE_HINTS[currentMatchType]);
+        matchTypeHint.textContent = t(MATCH_TYPE_HINTS[currentMatchType]);
+        newRuleInput.classList.remove('invalid');
+    });
+});
+
+// Switch between whitelist/blacklist tabs
+listTabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+        listTabs.forEach(other => other.classList.remove('active'));
+        tab.classList.add('active');
+        currentListType = tab.dataset.list;
+        // An edited compound rule belongs to the list it was opened from
+        if (editingCompoundId) {
+            resetCompoundBuilder();
+        }
+        loadFilterRules();
+    });
+});
+
+closeFilterBtn.addEventListener('click', () => {
+    filterPanel.classList.remove('open');
+    document.body.classList.remove('panel-open');
+});
+
+// Fetch current video info from content script with retry logic
+async function fetchCurrentVideoInfo(retryCount = 0) {
+    const currentChannelName = document.getElementById('current-channel-name');
+    const currentVideoTitle = document.getElementById('current-video-title');
+    const currentPlaylistName = document.getElementById('current-playlist-name');
+    const MAX_RETRIES = 3;
+    const RETRY_DELAY = 800;
+
+    const showUnavailable = (messageKey) => {
+        currentChannelName.textContent = t(messageKey);
+        currentVideoTitle.textContent = t('notOnVideo');
+        currentPlaylistName.textContent = t('noPlaylist');
+        quickRuleBtns.forEach(btn => btn.disabled = true);
+        renderChannelProfiles();
+    };
+
+    try {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        const currentTab = tabs[0];
+
+        if (!currentTab?.url?.match(/youtube\.com\/watch/)) {
+            showUnavailable('notOnVideo');
+            return;
+        }
+
+        // Show loading state on first attempt
+        if (retryCount === 0) {
+            currentChannelName.textContent = '...';
+        }
+
+        const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'getVideoInfo' });
+
+        if (response?.channelName) {
+            currentVideoInfo = response;
+            currentChannelName.textContent = response.channelName;
+            currentVideoTitle.textContent = response.videoTitle || response.videoId;
+            currentPlaylistName.textContent = response.playlistId
+                ? (response.playlistTitle || response.playlistId)
+                : t('noPlaylist');
+
+            // Enable buttons that have an ID and check if already added
+            updateQuickAddButtonState();
+            renderChannelProfiles();
+        } else {
+            // Retry if channel not found yet (YouTube might still be loading)
+            if (retryCount < MAX_RETRIES) {
+                setTimeout(() => fetchCurrentVideoInfo(retryCount + 1), RETRY_DELAY);
+            } else {
+                showUnavailable('channelNotFound');
+            }
+        }
+    } catch (error) {
+        // Retry on error (content script might not be ready)
+        if (retryCount < MAX_RETRIES) {
+            setTimeout(() => fetchCurrentVideoInfo(retryCount + 1), RETRY_DELAY);
+        } else {
+            showUnavailable('notOnVideo');
+        }
+    }
+}
+
+// Update quick add button states based on current rules
+async function updateQuickAddButtonState() {
+    if (!currentVideoInfo) return;
+
+    const rules = normalizeRules(await getFilterRules());
+
+    // Offer the current channel in the compound rule builder
+    updateCompoundChannelOptions(rules);
+
+    quickRuleBtns.forEach(btn => {
+        const listType = btn.dataset.list;
+        const ruleType = QUICK_RULE_TYPES[btn.dataset.rule];
+        const id = ruleType.getId(currentVideoInfo);
+        const inList = !!id && rules[listType][ruleType.key].some(r => ruleType.matches(r, currentVideoInfo));
+
+        btn.disabled = !id;
+        btn.classList.toggle('active', inList);
+
+        const btnSpan = btn.querySelector('span');
+        if (btnSpan) {
+            btnSpan.textContent = inList ? t('remove') : t(ruleType.labels[listType === 'whitelist' ? 0 : 1]);
         }
+    });
+}
+
+// Load and display filter rules for the selected list
+async function loadFilterRules() {
+    const rules = normalizeRules(await getFilterRules());
+    ruleStats = (await chrome.storage.local.get(['ruleStats'])).ruleStats || {};
+
+    // Update tab counts
+    ['whitelist', 'blacklist'].forEach(listType => {
+        const countEl = document.getElementById(`${listType}-count`);
+        if (countEl) {
+            countEl.textContent = countRules(rules[listType]);
+        }
+    });
+
+    // Render the selected list
+    renderRulesList(rules);
+    updateStorageWarning(rules);
+    renderChannelSuggestions(rules);
+
+    // Keep an open test result in sync with the rules
+    if (!ruleTestResult.classList.contains('hidden')) {
+        runRuleTest();
+    }
+}
+
+// How often a rule matched and how much listening it drove, e.g. "12× · 3h 20m"
+// Rules that never matched are dimmed so they stand out when cleaning up
+function renderRuleStats(key) {
+    const stats = ruleStats[key];
+    if (!stats?.lastMatchedAt) {
+        return `<span class="rule-stats unused" title="${escapeHtml(t('neverMatched'))}">0×</span>`;
+    }
+
+    const hits = stats.hits || 1;
+    const listening = stats.listeningSeconds ? formatTime(stats.listeningSeconds) : '';
+    const title = [
+        `${t('lastMatched')}: ${new Date(stats.lastMatchedAt).toLocaleString(currentLang)}`,
+        listening ? `${t('listeningTime')}: ${listening}` : ''
+    ].filter(Boolean).join(' · ');
+
+    return `<span class="rule-stats" title="${escapeHtml(title)}">${hits}×${listening ? ` · ${listening}` : ''}</span>`;
+}
+
+function renderRulesList(rules) {
+    const list = rules[currentListType] || { channels: [], keywords: [] };
+
+    // Render compound rules (nested expressions can only be removed, not edited)
+    const compoundList = document.getElementById('compound-list');
+    if (list.compound.length > 0) {
+        compoundList.innerHTML = list.compound.map(rule => `
+            <div class="rule-item" data-id="${escapeHtml(rule.id)}" data-type="compound">
+                <span class="rule-label">
+                    <span class="rule-name" title="${escapeHtml(formatExpression(rule.expression))}">${escapeHtml(formatExpression(rule.expression))}</span>
+                </span>
+                <span class="rule-actions">
+                    ${expressionToConditions(rule.expression) ? `
+                    <button class="edit-rule-btn" data-id="${escapeHtml(rule.id)}" title="${escapeHtml(t('edit'))}">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M12 20h9"></path>
+                            <path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4Z"></path>
+                        </svg>
+                    </button>` : ''}
+                    <button class="remove-rule-btn" data-id="${escapeHtml(rule.id)}" data-type="compound" data-list="${currentListType}">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </span>
+            </div>
+        `).join('');
+
+        compoundList.querySelectorAll('.edit-rule-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                editCompoundRule(list.compound.find(rule => rule.id === btn.dataset.id));
+            });
+        });
+    } else {
+        compoundList.innerHTML = `<div class="empty-state">${t('noCompoundRules')}</div>`;
+    }
+
+    updateCompoundChannelOptions(rules);
+
+    // Render channels
+    const channelsList = document.getElementById('channels-list');
+    if (list.channels?.length > 0) {
+        channelsList.innerHTML = list.channels.map(channel => `
+            <div class="rule-item" data-id="${escapeHtml(channel.id)}" data-type="channel">
+                <span class="rule-label">
+                    <span class="rule-name" title="${escapeHtml([...new Set([channel.id, channel.ucid, channel.handle].filter(Boolean))].join(' · '))}">${escapeHtml(channel.name)}</span>
+                    ${renderRuleStats(getRuleKey(currentListType, 'channel', channel))}
+                </span>
+                <button class="remove-rule-btn" data-id="${escapeHtml(channel.id)}" data-type="channel" data-list="${currentListType}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+        `).join('');
+    } else {
+        channelsList.innerHTML = `<div class="empty-state">${t('noChannels')}</div>`;
+    }
+
+    // Render keywords
+    const keywordsList = document.getElementById('keywords-list');
+    if (list.keywords?.length > 0) {
+        keywordsList.innerHTML = list.keywords.map(kw => `
+            <div class="rule-item" data-keyword="${escapeHtml(kw.keyword)}" data-type="keyword">
+                <span class="rule-label">
+                    <span class="rule-name">${kw.matchType === 'regex' ? `/${escapeHtml(kw.keyword)}/` : `"${escapeHtml(kw.keyword)}"`}</span>
+                    ${KEYWORD_TARGET_LABELS[kw.target] ? `<span class="rule-tag">${escapeHtml(t(KEYWORD_TARGET_LABELS[kw.target]))}</span>` : ''}
+                    ${MATCH_TYPE_LABELS[kw.matchType] ? `<span class="rule-tag">${escapeHtml(t(MATCH_TYPE_LABELS[kw.matchType]))}</span>` : ''}
+                    ${kw.caseSensitive ? '<span class="rule-tag">Aa</span>' : ''}
+                    ${renderRuleStats(getRuleKey(currentListType, 'keyword', kw))}
+                </span>
+                <button class="remove-rule-btn" data-keyword="${escapeHtml(kw.keyword)}" data-match="${kw.matchType || 'contains'}" data-target="${kw.target || 'title'}" data-case="${!!kw.caseSensitive}" data-type="keyword" data-list="${currentListType}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+        `).join('');
+    } else {
+        keywordsList.innerHTML = `<div class="empty-state">${t('noKeywords')}</div>`;
+    }
+
+    // Render playlist and video rules
+    const idRulesList = document.getElementById('id-rules-list');
+    const idRuleItems = [
+        ...list.playlists.map(p => ({ rule: p, type: 'playlist', tag: t('playlist') })),
+        ...list.videos.map(v => ({ rule: v, type: 'video', tag: t('video') }))
+    ];
+    if (idRuleItems.length > 0) {
+        idRulesList.innerHTML = idRuleItems.map(item => `
+            <div class="rule-item" data-id="${escapeHtml(item.rule.id)}" data-type="${item.type}">
+                <span class="rule-label">
+                    <span class="rule-name" title="${escapeHtml(item.rule.id)}">${escapeHtml(item.rule.name || item.rule.id)}</span>
+                    <span class="rule-tag">${escapeHtml(item.tag)}</span>
+                </span>
+                <button class="remove-rule-btn" data-id="${escapeHtml(item.rule.id)}" data-type="${item.type}" data-list="${currentListType}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+        `).join('');
+    } else {
+        idRulesList.innerHTML = `<div class="empty-state">${t('noIdRules')}</div>`;
+    }
+
+    // Render categories and duration thresholds
+    const metadataList = document.getElementById('metadata-list');
+    const metadataItems = [
+        ...list.categories.map(c => ({
+            label: c.category,
+            tag: t('ruleKindCategory'),
+            data: `data-category="${escapeHtml(c.category)}" data-type="category"`
+        })),
+        ...list.durations.map(d => ({
+            label: `${t(d.operator === 'shorter' ? 'shorterThan' : 'longerThan')} ${d.minutes} ${t('minutes')}`,
+            tag: t('ruleKindDuration'),
+            data: `data-operator="${d.operator}" data-minutes="${d.minutes}" data-type="duration"`
+        }))
+    ];
+    if (metadataItems.length > 0) {
+        metadataList.innerHTML = metadataItems.map(item => `
+            <div class="rule-item">
+                <span class="rule-label">
+                    <span class="rule-name">${escapeHtml(item.label)}</span>
+                    <span class="rule-tag">${escapeHtml(item.tag)}</span>
+                </span>
+                <button class="remove-rule-btn" ${item.data} data-list="${currentListType}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+        `).join('');
+    } else {
+        metadataList.innerHTML = `<div class="empty-state">${t('noMetadataRules')}</div>`;
     }
 
-    await chrome.storage.sync.set({ filterRules: rules });
+    // Add event listeners for remove buttons (only in the lists rendered above -
+    // channel profiles and suggestions in the same panel have their own handlers)
+    [compoundList, channelsList, keywordsList, idRulesList, metadataList].forEach(container => {
+        container.querySelectorAll('.remove-rule-btn').forEach(btn => {
+            btn.addEventListener('click', () => removeRule(btn.dataset));
+        });
+    });
+}
+
+// Add a new rule to a list ('whitelist' or 'blacklist')
+async function addRule(ruleType, value, listType = currentListType) {
+    if (!value) return;
+
+    const rules = normalizeRules(await getFilterRules());
+
+    if (!insertRule(rules[listType], ruleType, value)) return false;
+    if (!(await persistFilterRules(rules))) return false;
+
     loadFilterRules();
 
     // Show feedback
     showToast(t('ruleAdded'));
+    return true;
 }
 
-// Remove a rule from whitelist
-async function removeRule(dataset) {
-    const result = await chrome.storage.sync.get(['filterRules']);
-    const rules = result.filterRules;
-    if (!rules || !rules.whitelist) return;
+// Add several rules of one type with a single save (e.g. imported channels)
+// Returns the number of rules added (duplicates and invalid rules are skipped), or null if saving failed
+async function addRules(ruleType, values, listType = currentListType) {
+    const rules = normalizeRules(await getFilterRules());
+    const list = rules[listType];
+    const countBefore = countRules(list);
+
+    values.forEach(value => insertRule(list, ruleType, value));
+
+    const added = countRules(list) - countBefore;
+    if (added > 0) {
+        if (!(await persistFilterRules(rules))) return null;
+        loadFilterRules();
+    }
+    return added;
+}
+
+/**
+ * Save filter rules (see storage.js for how large rule sets are stored)
+ * @returns {Promise<boolean>} false if saving failed (an error toast is shown)
+ */
+async function persistFilterRules(rules) {
+    try {
+        await saveFilterRules(rules);
+        return true;
+    } catch (error) {
+        console.error('[Audio Mode] Failed to save filter rules:', error);
+        showToast(t('rulesSaveFailed'));
+        return false;
+    }
+}
+
+// Suggest channels for the whitelist from listening recorded on this device (see getChannelSuggestions in rules.js)
+async function renderChannelSuggestions(rules) {
+    const channelListening = (await chrome.storage.local.get(['channelListening'])).channelListening || {};
+    const suggestions = getChannelSuggestions(channelListening, rules);
+
+    channelSuggestionsSection.classList.toggle('hidden', suggestions.length === 0);
+    channelSuggestionsList.innerHTML = suggestions.map(suggestion => {
+        const reasons = [
+            suggestion.backgroundVideos ? `${t('backgroundListening')}: ${suggestion.backgroundVideos}×` : '',
+            suggestion.manualAudio ? `${t('switchedToAudio')}: ${suggestion.manualAudio}×` : ''
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="rule-item">
+                <span class="rule-label">
+                    <span class="rule-name" title="${escapeHtml(suggestion.name)}">${escapeHtml(suggestion.name)}</span>
+                    <span class="rule-stats" title="${escapeHtml(reasons)}">${escapeHtml(reasons)}</span>
+                </span>
+                <span class="suggestion-actions">
+                    <button class="quick-btn whitelist accept-suggestion-btn" data-id="${escapeHtml(suggestion.id)}">${escapeHtml(t('alwaysEnable'))}</button>
+                    <button class="remove-rule-btn dismiss-suggestion-btn" data-id="${escapeHtml(suggestion.id)}" title="${escapeHtml(t('dismiss'))}">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </span>
+            </div>
+        `;
+    }).join('');
+
+    channelSuggestionsList.querySelectorAll('.accept-suggestion-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const suggestion = suggestions.find(s => s.id === btn.dataset.id);
+            addRule('channel', {
+                id: suggestion.id,
+                name: suggestion.name,
+                ucid: suggestion.ucid,
+                handle: suggestion.handle
+            }, 'whitelist');
+        });
+    });
+
+    channelSuggestionsList.querySelectorAll('.dismiss-suggestion-btn').forEach(btn => {
+        btn.addEventListener('click', () => dismissChannelSuggestion(btn.dataset.id));
+    });
+}
+
+// Hide a suggestion for good (the channel's listening is still counted)
+async function dismissChannelSuggestion(channelId) {
+    const channelListening = (await chrome.storage.local.get(['channelListening'])).channelListening || {};
+    Object.values(channelListening).forEach(entry => {
+        if (entry.id === channelId) entry.dismissed = true;
+    });
+    await chrome.storage.local.set({ channelListening: channelListening });
+    loadFilterRules();
+}
+
+// Warn before rules outgrow sync storage, and when they are kept on this device only
+async function updateStorageWarning(rules) {
+    const info = await getFilterRulesStorageInfo(rules);
+
+    let text = '';
+    if (info.location === 'local') {
+        text = t('storageLocalWarning');
+    } else if (info.nearlyFull) {
+        text = `${t('storageNearlyFull')} (${Math.round(info.usage * 100)}%)`;
+    }
+
+    storageWarningText.textContent = text;
+    storageWarning.classList.toggle('hidden', !text);
+}
+
+/**
+ * Insert a rule into a list without saving (duplicates are skipped)
+ * @returns {boolean} false if the rule is invalid (an error toast is shown)
+ */
+function insertRule(list, ruleType, value) {
+    if (ruleType === 'channel') {
+        // For channel, value should be { id, name } plus { ucid, handle } when known
+        const channelInfo = { channelId: value.id, channelUcid: value.ucid, channelHandle: value.handle };
+        if (!list.channels.some(c => matchChannelRule(c, channelInfo))) {
+            list.channels.push({
+                id: value.id,
+                name: value.name,
+                ...getChannelForms(channelInfo),
+                addedAt: Date.now()
+            });
+        }
+    } else if (ruleType === 'category') {
+        // For category, value is the category name (e.g. "Music")
+        const category = value.trim();
+        if (!category) return false;
+        if (!list.categories.some(c => c.category.toLowerCase() === category.toLowerCase())) {
+            list.categories.push({
+                category: category,
+                addedAt: Date.now()
+            });
+        }
+    } else if (ruleType === 'compound') {
+        // For compound, value should be { expression } or { id, expression } to replace an edited rule
+        const serialized = JSON.stringify(value.expression);
+        const existingIndex = list.compound.findIndex(c => c.id === value.id);
+        if (existingIndex >= 0) {
+            list.compound[existingIndex] = { ...list.compound[existingIndex], expression: value.expression };
+        } else if (!list.compound.some(c => JSON.stringify(c.expression) === serialized)) {
+            list.compound.push({
+                id: Date.now().toString(36),
+                expression: value.expression,
+                addedAt: Date.now()
+            });
+        }
+    } else if (ruleType === 'duration') {
+        // For duration, value should be { operator: 'longer'|'shorter', minutes }
+        const minutes = parseInt(value.minutes, 10);
+        if (!(minutes > 0)) {
+            showToast(t('invalidDuration'));
+            return false;
+        }
+        if (!list.durations.some(d => d.operator === value.operator && d.minutes === minutes)) {
+            list.durations.push({
+                operator: value.operator === 'shorter' ? 'shorter' : 'longer',
+                minutes: minutes,
+                addedAt: Date.now()
+            });
+        }
+    } else {
+        // For keyword, value is a string or { keyword, matchType, caseSensitive, target }
+        const keywordRule = typeof value === 'string' ? { keyword: value } : value;
+        const target = keywordRule.target || 'title';
+        const matchType = keywordRule.matchType || 'contains';
+        const caseSensitive = !!keywordRule.caseSensitive;
+        let keyword = keywordRule.keyword?.trim();
+        // Tags are stored without the leading # (hashtags match as tags)
+        if (target === 'tags' && matchType !== 'regex') {
+            keyword = keyword?.replace(/^#/, '');
+        }
+
+        const error = validateKeywordPattern(keyword, matchType);
+        if (error) {
+            showToast(t(error));
+            return false;
+        }
+
+        const isDuplicate = list.keywords.some(k => isSameKeywordRule(k, { keyword, target, matchType, caseSensitive }));
+        if (!isDuplicate) {
+            list.keywords.push({
+                keyword: keyword,
+                target: target,
+                matchType: matchType,
+                caseSensitive: caseSensitive,
+                addedAt: Date.now()
+            });
+        }
+    }
 
-    if (dataset.type === 'channel') {
-        rules.whitelist.channels = rules.whitelist.channels.filter(c => c.id !== dataset.id);
+    return true;
+}
+
+// Remove a rule from a list
+async function removeRule(dataset) {
+    const storedRules = await getFilterRules();
+    if (!storedRules) return;
+    const rules = normalizeRules(storedRules);
+    const list = rules[dataset.list || currentListType];
+
+    if (QUICK_RULE_TYPES[dataset.type]) {
+        // Channel, playlist or video rule (keyed by ID)
+        const key = QUICK_RULE_TYPES[dataset.type].key;
+        list[key] = list[key].filter(r => r.id !== dataset.id);
+    } else if (dataset.type === 'compound') {
+        list.compound = list.compound.filter(c => c.id !== dataset.id);
+    } else if (dataset.type === 'category') {
+        list.categories = list.categories.filter(c => c.category !== dataset.category);
+    } else if (dataset.type === 'duration') {
+        list.durations = list.durations.filter(d =>
+            d.operator !== dataset.operator || d.minutes !== parseInt(dataset.minutes, 10)
+        );
     } else {
-        rules.whitelist.keywords = rules.whitelist.keywords.filter(k => k.keyword !== dataset.keyword);
+        const keyword = {
+            keyword: dataset.keyword,
+            matchType: dataset.match,
+            target: dataset.target,
+            caseSensitive: dataset.case === 'true'
+        };
+        list.keywords = list.keywords.filter(k => !isSameKeywordRule(k, keyword));
     }
 
-    await chrome.storage.sync.set({ filterRules: rules });
+    if (!(await persistFilterRules(rules))) return;
     loadFilterRules();
     updateQuickAddButtonState();
 
@@ -741,12 +2333,24 @@ function showToast(message) {
 }
 
 // Add rule button (handles keywords only)
-addRuleBtn.addEventListener('click', () => {
+addRuleBtn.addEventListener('click', async () => {
     const value = newRuleInput.value.trim();
     if (!value) return;
 
-    addRule('keyword', value);
-    newRuleInput.value = '';
+    const added = await addRule('keyword', {
+        keyword: value,
+        target: ruleKindSelect.value,
+        matchType: currentMatchType,
+        caseSensitive: caseSensitiveInput.checked
+    });
+
+    // Keep invalid patterns in the input so they can be fixed
+    if (added) {
+        newRuleInput.value = '';
+        newRuleInput.classList.remove('invalid');
+    } else {
+        newRuleInput.classList.add('invalid');
+    }
 });
 
 // Enter key to add rule
@@ -756,35 +2360,647 @@ newRuleInput.addEventListener('keypress', (e) => {
     }
 });
 
-// Quick add channel button (toggle whitelist)
-quickAddChannelBtn.addEventListener('click', async () => {
-    if (!currentVideoInfo?.channelId) return;
+// Full-page rule manager (options.html)
+openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
 
-    const result = await chrome.storage.sync.get(['filterRules']);
-    const rules = result.filterRules || { whitelist: { channels: [], keywords: [] } };
+// Add category rule
+addCategoryBtn.addEventListener('click', async () => {
+    const added = await addRule('category', newCategoryInput.value);
+    if (added) {
+        newCategoryInput.value = '';
+    }
+});
 
-    // Ensure whitelist exists
-    if (!rules.whitelist) {
-        rules.whitelist = { channels: [], keywords: [] };
+newCategoryInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        addCategoryBtn.click();
     }
+});
 
-    const existingIndex = rules.whitelist.channels.findIndex(c => c.id === currentVideoInfo.channelId);
+// Add duration rule
+addDurationBtn.addEventListener('click', () => {
+    addRule('duration', {
+        operator: durationOperatorSelect.value,
+        minutes: durationMinutesInput.value
+    });
+});
 
-    if (existingIndex >= 0) {
-        // Remove from whitelist
-        rules.whitelist.channels.splice(existingIndex, 1);
-        showToast(t('ruleRemoved'));
-    } else {
-        // Add to whitelist
-        rules.whitelist.channels.push({
+// Add the current channel, video or playlist to a list (and take it out of the other one)
+function addQuickRule(rules, ruleTypeName, listType, info) {
+    const ruleType = QUICK_RULE_TYPES[ruleTypeName];
+    const otherListType = listType === 'whitelist' ? 'blacklist' : 'whitelist';
+
+    rules[otherListType][ruleType.key] = rules[otherListType][ruleType.key]
+        .filter(r => !ruleType.matches(r, info));
+    if (rules[listType][ruleType.key].some(r => ruleType.matches(r, info))) return;
+
+    rules[listType][ruleType.key].push({
+        id: ruleType.getId(info),
+        name: ruleType.getName(info),
+        ...ruleType.getExtra(info),
+        addedAt: Date.now()
+    });
+}
+
+// Quick add buttons for the current channel, video or playlist (toggle whitelist / blacklist)
+// An item can only be in one list at a time
+quickRuleBtns.forEach(btn => {
+    btn.addEventListener('click', async () => {
+        const ruleType = QUICK_RULE_TYPES[btn.dataset.rule];
+        const id = ruleType.getId(currentVideoInfo);
+        if (!id) return;
+
+        const listType = btn.dataset.list;
+
+        const rules = normalizeRules(await getFilterRules());
+        const items = rules[listType][ruleType.key];
+
+        const existingIndex = items.findIndex(r => ruleType.matches(r, currentVideoInfo));
+
+        if (existingIndex >= 0) {
+            // Remove from list
+            items.splice(existingIndex, 1);
+        } else {
+            addQuickRule(rules, btn.dataset.rule, listType, currentVideoInfo);
+        }
+
+        if (!(await persistFilterRules(rules))) return;
+        showToast(t(existingIndex >= 0 ? 'ruleRemoved' : 'ruleAdded'));
+        loadFilterRules();
+        updateQuickAddButtonState();
+    });
+});
+
+// --- Compound Rule Builder (AND / OR / NOT) ---
+
+// Conditions being built: { field: 'channel'|'title'|'description'|'tags', value, negate }
+let compoundConditions = [];
+
+// How conditions are combined: 'and' or 'or'
+let compoundOp = 'and';
+
+// ID of the compound rule being edited (null when adding a new one)
+let editingCompoundId = null;
+
+const CONDITION_FIELD_LABELS = {
+    channel: 'channel',
+    title: 'ruleKindTitle',
+    description: 'ruleKindDescription',
+    tags: 'ruleKindTags'
+};
+
+function createCondition(field = 'title', value = '', negate = false) {
+    return { field, value, negate };
+}
+
+function renderCompoundConditions() {
+    compoundConditionsContainer.innerHTML = compoundConditions.map((condition, index) => `
+        <div class="input-group compound-condition" data-index="${index}">
+            <button class="not-toggle ${condition.negate ? 'active' : ''}" title="${escapeHtml(t('negateCondition'))}">NOT</button>
+            <select class="quality-select condition-field">
+                ${Object.entries(CONDITION_FIELD_LABELS).map(([field, label]) => `
+                    <option value="${field}" ${condition.field === field ? 'selected' : ''}>${escapeHtml(t(label))}</option>
+                `).join('')}
+            </select>
+            <input type="text" class="condition-value" ${condition.field === 'channel' ? 'list="compound-channel-options"' : ''}
+                placeholder="${escapeHtml(t(condition.field === 'channel' ? 'channelPlaceholder' : 'enterKeyword'))}">
+            <button class="remove-condition-btn" title="${escapeHtml(t('remove'))}">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>
+        </div>
+    `).join('');
+
+    compoundConditionsContainer.querySelectorAll('.compound-condition').forEach(row => {
+        const index = parseInt(row.dataset.index, 10);
+        const condition = compoundConditions[index];
+        const valueInput = row.querySelector('.condition-value');
+        // Set as a property so quotes in keywords survive
+        valueInput.value = condition.value;
+
+        row.querySelector('.not-toggle').addEventListener('click', () => {
+            condition.negate = !condition.negate;
+            renderCompoundConditions();
+        });
+        row.querySelector('.condition-field').addEventListener('change', (e) => {
+            condition.field = e.target.value;
+            renderCompoundConditions();
+        });
+        valueInput.addEventListener('input', () => {
+            condition.value = valueInput.value;
+            valueInput.classList.remove('invalid');
+        });
+        row.querySelector('.remove-condition-btn').addEventListener('click', () => {
+            compoundConditions.splice(index, 1);
+            if (compoundConditions.length === 0) {
+                compoundConditions.push(createCondition());
+            }
+            renderCompoundConditions();
+        });
+    });
+}
+
+// Channels that can be picked for channel conditions, by ID: { name, ucid, handle }
+const compoundChannels = new Map();
+
+// Collect channels from channel rules, compound rules and the current video
+function updateCompoundChannelOptions(rules) {
+    compoundChannels.clear();
+
+    const addChannel = (channel) => {
+        compoundChannels.set(channel.id, {
+            name: channel.name || channel.id,
+            ...getChannelForms({ channelUcid: channel.ucid, channelHandle: channel.handle })
+        });
+    };
+
+    const collect = (expression) => {
+        if (!expression) return;
+        if (expression.op === 'channel') addChannel(expression);
+        if (expression.op === 'not') collect(expression.item);
+        (expression.items || []).forEach(collect);
+    };
+
+    ['whitelist', 'blacklist'].forEach(listType => {
+        rules[listType].channels.forEach(addChannel);
+        rules[listType].compound.forEach(rule => collect(rule.expression));
+    });
+    if (currentVideoInfo?.channelId) {
+        addChannel({
             id: currentVideoInfo.channelId,
             name: currentVideoInfo.channelName,
-            addedAt: Date.now()
+            ucid: currentVideoInfo.channelUcid,
+            handle: currentVideoInfo.channelHandle
         });
-        showToast(t('ruleAdded'));
     }
 
-    await chrome.storage.sync.set({ filterRules: rules });
-    loadFilterRules();
+    compoundChannelOptions.innerHTML = Array.from(compoundChannels.entries()).map(([id, channel]) => `
+        <option value="${escapeHtml(id)}" label="${escapeHtml(channel.name)}"></option>
+    `).join('');
+}
+
+/**
+ * Resolve a channel condition from a picked channel ID, a typed channel name, a UC... ID or an @handle
+ * @returns {Object|null} Channel leaf { op: 'channel', id, name }
+ */
+function resolveChannelCondition(value) {
+    const key = getChannelKeys(value)[0];
+    const known = Array.from(compoundChannels.entries()).find(([id, channel]) =>
+        getChannelKeys(id, channel.ucid, channel.handle).includes(key) ||
+        channel.name.toLowerCase() === value.toLowerCase()
+    );
+    if (known) {
+        const [id, channel] = known;
+        return { op: 'channel', id: id, ...channel };
+    }
+    if (/^UC[\w-]{22}$/.test(value) || /^@[\w.-]+$/.test(value)) {
+        return { op: 'channel', id: value, name: value };
+    }
+    return null;
+}
+
+/**
+ * Build the expression from the builder's conditions
+ * Keyword conditions use the selected match type and case option
+ * @returns {Object|null} null (after showing an error) if a condition is invalid
+ */
+function buildCompoundExpression() {
+    const items = [];
+    const rows = compoundConditionsContainer.querySelectorAll('.condition-value');
+
+    for (const [index, condition] of compoundConditions.entries()) {
+        const value = condition.value.trim();
+        if (!value) continue;
+
+        let leaf;
+        if (condition.field === 'channel') {
+            leaf = resolveChannelCondition(value);
+            if (!leaf) {
+                rows[index]?.classList.add('invalid');
+                showToast(t('invalidChannel'));
+                return null;
+            }
+        } else {
+            // Tags are stored without the leading # (as in keyword rules)
+            const keyword = condition.field === 'tags' && currentMatchType !== 'regex'
+                ? value.replace(/^#/, '')
+                : value;
+            const error = validateKeywordPattern(keyword, currentMatchType);
+            if (error) {
+                rows[index]?.classList.add('invalid');
+                showToast(t(error));
+                return null;
+            }
+            leaf = {
+                op: 'keyword',
+                keyword: keyword,
+                target: condition.field,
+                matchType: currentMatchType,
+                caseSensitive: caseSensitiveInput.checked
+            };
+        }
+
+        items.push(condition.negate ? { op: 'not', item: leaf } : leaf);
+    }
+
+    if (items.length === 0) {
+        showToast(t('invalidCompound'));
+        return null;
+    }
+
+    return items.length === 1 ? items[0] : { op: compoundOp, items: items };
+}
+
+/**
+ * Convert a stored expression back into builder conditions
+ * Only flat expressions (one AND/OR group of conditions, each optionally negated,
+ * with a single keyword match type) can be edited in the builder
+ * @returns {Object|null} { op, conditions, matchType, caseSensitive } or null if not editable
+ */
+function expressionToConditions(expression) {
+    if (!expression) return null;
+
+    const isGroup = expression.op === 'and' || expression.op === 'or';
+    const items = isGroup ? expression.items || [] : [expression];
+    const conditions = [];
+    let keywordOptions = null;
+
+    for (const item of items) {
+        const negate = item.op === 'not';
+        const leaf = negate ? item.item : item;
+
+        if (leaf?.op === 'channel') {
+            conditions.push(createCondition('channel', leaf.id, negate));
+        } else if (leaf?.op === 'keyword') {
+            const options = { matchType: leaf.matchType || 'contains', caseSensitive: !!leaf.caseSensitive };
+            if (keywordOptions && (keywordOptions.matchType !== options.matchType ||
+                keywordOptions.caseSensitive !== options.caseSensitive)) {
+                return null;
+            }
+            keywordOptions = options;
+            conditions.push(createCondition(leaf.target || 'title', leaf.keyword, negate));
+        } else {
+            return null;
+        }
+    }
+
+    if (conditions.length === 0) return null;
+
+    return {
+        op: isGroup ? expression.op : 'and',
+        conditions: conditions,
+        ...(keywordOptions || {})
+    };
+}
+
+function setCompoundOp(op) {
+    compoundOp = op;
+    compoundOpBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.op === op));
+}
+
+// Load a compound rule into the builder
+function editCompoundRule(rule) {
+    const editable = rule && expressionToConditions(rule.expression);
+    if (!editable) return;
+
+    editingCompoundId = rule.id;
+    compoundConditions = editable.conditions;
+    setCompoundOp(editable.op);
+
+    if (editable.matchType) {
+        document.querySelector(`#match-type-toggle .rule-type-btn[data-match="${editable.matchType}"]`)?.click();
+        caseSensitiveInput.checked = editable.caseSensitive;
+    }
+
+    ruleKindSelect.value = 'compound';
+    updateRuleKindFields();
+    renderCompoundConditions();
+
+    saveCompoundBtn.setAttribute('data-i18n', 'save');
+    saveCompoundBtn.textContent = t('save');
+    cancelCompoundBtn.classList.remove('hidden');
+    compoundRuleFields.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function resetCompoundBuilder() {
+    editingCompoundId = null;
+    compoundConditions = [createCondition('channel'), createCondition()];
+    setCompoundOp('and');
+    renderCompoundConditions();
+
+    saveCompoundBtn.setAttribute('data-i18n', 'add');
+    saveCompoundBtn.textContent = t('add');
+    cancelCompoundBtn.classList.add('hidden');
+}
+
+compoundOpBtns.forEach(btn => {
+    btn.addEventListener('click', () => setCompoundOp(btn.dataset.op));
+});
+
+addConditionBtn.addEventListener('click', () => {
+    compoundConditions.push(createCondition());
+    renderCompoundConditions();
+});
+
+saveCompoundBtn.addEventListener('click', async () => {
+    const expression = buildCompoundExpression();
+    if (!expression) return;
+
+    const added = await addRule('compound', { id: editingCompoundId, expression: expression });
+    if (added) {
+        resetCompoundBuilder();
+    }
+});
+
+cancelCompoundBtn.addEventListener('click', resetCompoundBuilder);
+
+resetCompoundBuilder();
+
+// --- Subscriptions Import (Google Takeout) ---
+
+const subscriptionsFileInput = document.getElementById('subscriptions-file-input');
+const importSubscriptionsBtn = document.getElementById('import-subscriptions-btn');
+const importReview = document.getElementById('import-review');
+const importSummary = document.getElementById('import-summary');
+const importList = document.getElementById('import-list');
+const importSelectAllBtn = document.getElementById('import-select-all');
+const importSelectNoneBtn = document.getElementById('import-select-none');
+const importCancelBtn = document.getElementById('import-cancel-btn');
+const importConfirmBtn = document.getElementById('import-confirm-btn');
+
+// Channels read from the file: { id, name, existing }
+let importedChannels = [];
+
+/**
+ * Split CSV text into rows of fields (handles quoted fields with commas, quotes and newlines)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Read channels from a Takeout subscriptions export
+ * - CSV: "Channel Id,Channel Url,Channel Title" (header names are localized, so columns are detected by content)
+ * - JSON: [{ snippet: { title, resourceId: { channelId } } }]
+ * @returns {Array} Channels { id, name }, without duplicates
+ */
+function parseSubscriptionsFile(text) {
+    const isChannelId = value => /^UC[\w-]{22}$/.test(value);
+    const channels = [];
+
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const data = JSON.parse(trimmed);
+        (Array.isArray(data) ? data : [data]).forEach(item => {
+            const snippet = item?.snippet || item;
+            const id = snippet?.resourceId?.channelId || snippet?.channelId;
+            if (isChannelId(id)) {
+                channels.push({ id: id, name: snippet.title || id });
+            }
+        });
+    } else {
+        parseCsv(trimmed).forEach(fields => {
+            const cells = fields.map(cell => cell.trim());
+            // Header row has no channel ID and is skipped
+            const id = cells.find(isChannelId);
+            if (!id) return;
+            const name = cells.find(cell => cell && cell !== id && !/^https?:\/\//.test(cell));
+            channels.push({ id: id, name: name || id });
+        });
+    }
+
+    return channels.filter((channel, index) => channels.findIndex(c => c.id === channel.id) === index);
+}
+
+function updateImportSummary() {
+    const selected = importList.querySelectorAll('input[type="checkbox"]:checked:not(:disabled)').length;
+    importSummary.textContent = `${selected} / ${importedChannels.length}`;
+    importConfirmBtn.disabled = selected === 0;
+}
+
+function renderImportList() {
+    importList.innerHTML = importedChannels.map((channel, index) => `
+        <div class="rule-item ${channel.existing ? 'disabled' : ''}">
+            <label class="checkbox-label">
+                <input type="checkbox" data-index="${index}" ${channel.existing ? 'checked disabled' : 'checked'}>
+                <span class="rule-name" title="${escapeHtml(channel.id)}">${escapeHtml(channel.name)}</span>
+            </label>
+            ${channel.existing ? `<span class="rule-tag">${escapeHtml(t('alreadyAdded'))}</span>` : ''}
+        </div>
+    `).join('');
+
+    importList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', updateImportSummary);
+    });
+    updateImportSummary();
+}
+
+function closeImportReview() {
+    importedChannels = [];
+    importList.innerHTML = '';
+    importReview.classList.add('hidden');
+    subscriptionsFileInput.value = '';
+}
+
+importSubscriptionsBtn.addEventListener('click', () => subscriptionsFileInput.click());
+
+subscriptionsFileInput.addEventListener('change', async () => {
+    const file = subscriptionsFileInput.files[0];
+    if (!file) return;
+
+    let channels;
+    try {
+        channels = parseSubscriptionsFile(await file.text());
+    } catch (error) {
+        console.error('[Audio Mode] Failed to read subscriptions file:', error);
+        channels = [];
+    }
+
+    if (channels.length === 0) {
+        showToast(t('importNoChannels'));
+        closeImportReview();
+        return;
+    }
+
+    // Mark channels that are already whitelisted (by UC ID or a learned @handle)
+    const whitelist = normalizeRules(await getFilterRules()).whitelist;
+    importedChannels = channels.map(channel => ({
+        ...channel,
+        existing: whitelist.channels.some(rule => matchChannelRule(rule, { channelId: channel.id }))
+    }));
+
+    renderImportList();
+    importReview.classList.remove('hidden');
+});
+
+importSelectAllBtn.addEventListener('click', () => {
+    importList.querySelectorAll('input[type="checkbox"]:not(:disabled)').forEach(checkbox => checkbox.checked = true);
+    updateImportSummary();
+});
+
+importSelectNoneBtn.addEventListener('click', () => {
+    importList.querySelectorAll('input[type="checkbox"]:not(:disabled)').forEach(checkbox => checkbox.checked = false);
+    updateImportSummary();
+});
+
+importCancelBtn.addEventListener('click', closeImportReview);
+
+importConfirmBtn.addEventListener('click', async () => {
+    const selected = Array.from(importList.querySelectorAll('input[type="checkbox"]:checked:not(:disabled)'))
+        .map(checkbox => importedChannels[checkbox.dataset.index])
+        .map(channel => ({ id: channel.id, name: channel.name, ucid: channel.id }));
+
+    // Same path as single rules: duplicates are skipped
+    const added = await addRules('channel', selected, 'whitelist');
+    if (added === null) return; // Save failed - keep the checklist to try again
+
+    showToast(`${t('importedChannels')}: ${added}`);
+    closeImportReview();
     updateQuickAddButtonState();
 });
+
+// --- Rule Tester ---
+// Runs the matching in rules.js, the same code the content script uses on the watch page
+
+const ruleTestInput = document.getElementById('rule-test-input');
+const ruleTestBtn = document.getElementById('rule-test-btn');
+const ruleTestResult = document.getElementById('rule-test-result');
+const ruleTestCard = document.getElementById('rule-test-card');
+const ruleTestTitle = document.getElementById('rule-test-title');
+const ruleTestReason = document.getElementById('rule-test-reason');
+const ruleTestMatches = document.getElementById('rule-test-matches');
+const ruleTestPartial = document.getElementById('rule-test-partial');
+
+/**
+ * Turn the tester input into the video info rules are matched against
+ * Accepts watch/shorts/youtu.be/playlist/channel URLs, a channel ID or @handle, or a title
+ * @returns {Object} { info, partial } - partial: only the IDs in a video URL are known
+ */
+function parseRuleTestInput(input) {
+    if (/^UC[\w-]{22}$/.test(input) || /^@[\w.-]+$/.test(input)) {
+        return { info: { channelId: input }, partial: false };
+    }
+
+    let url = null;
+    try {
+        url = new URL(/^https?:\/\//i.test(input) ? input : `https://${input}`);
+    } catch (e) {
+        // Not a URL - treated as a title below
+    }
+
+    const host = url?.hostname.replace(/^(www|m|music)\./, '');
+    if (host !== 'youtube.com' && host !== 'youtu.be') {
+        return { info: { videoTitle: input }, partial: false };
+    }
+
+    const path = url.pathname.split('/').filter(Boolean);
+    const info = {
+        videoId: host === 'youtu.be'
+            ? path[0]
+            : url.searchParams.get('v') || (['shorts', 'live'].includes(path[0]) ? path[1] : null),
+        playlistId: url.searchParams.get('list')
+    };
+
+    if (path[0] === 'channel' && path[1]) {
+        info.channelId = path[1];
+    } else if (path[0]?.startsWith('@')) {
+        info.channelId = decodeURIComponent(path[0]);
+    }
+
+    // The video open in this tab: test with everything the content script knows about it
+    if (info.videoId && currentVideoInfo?.videoId === info.videoId) {
+        return { info: { ...currentVideoInfo, playlistId: info.playlistId }, partial: false };
+    }
+
+    return { info, partial: !!info.videoId };
+}
+
+// Show every matching rule and the mode the video would play in
+async function runRuleTest() {
+    const input = ruleTestInput.value.trim();
+    if (!input) {
+        ruleTestResult.classList.add('hidden');
+        return;
+    }
+
+    const rules = normalizeRules(await getFilterRules());
+    const { info, partial } = parseRuleTestInput(input);
+
+    const modeType = getNetworkModeType(getEffectiveModeType(currentModeType, scheduleRules), networkAware);
+    const outcome = evaluateRules(info, rules, modeType);
+    const matches = findAllRuleMatches(info, rules);
+
+    ruleTestTitle.textContent = t(outcome.audio ? 'testResultAudio' : 'testResultVideo');
+    ruleTestReason.textContent = describeDecision({
+        ...outcome,
+        modeType,
+        scheduled: !!getActiveSchedule(scheduleRules),
+        network: networkAware ? getConnectionConstraint() : null
+    });
+    ruleTestCard.classList.toggle('audio', outcome.audio);
+
+    if (matches.length > 0) {
+        ruleTestMatches.innerHTML = matches.map(match => `
+            <div class="rule-item">
+                <span class="rule-label">
+                    <span class="rule-name">${escapeHtml(match.value)}</span>
+                    <span class="rule-tag">${escapeHtml(t(match.listType))}</span>
+                    <span class="rule-tag">${escapeHtml(t(RULE_TYPE_LABELS[match.ruleType]))}</span>
+                </span>
+            </div>
+        `).join('');
+    } else {
+        ruleTestMatches.innerHTML = `<div class="empty-state">${t('testNoMatches')}</div>`;
+    }
+
+    ruleTestPartial.classList.toggle('hidden', !partial);
+    ruleTestResult.classList.remove('hidden');
+}
+
+ruleTestBtn.addEventListener('click', runRuleTest);
+
+ruleTestInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        runRuleTest();
+    }
+});
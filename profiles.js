@@ -0,0 +1,125 @@
+// Profiles for YouTube Audio Mode
+// Shared by background.js (importScripts) and popup.js
+
+/**
+ * A profile bundles the settings that change between listening setups:
+ * {
+ *   id: string,
+ *   name: string,        // e.g. 'Commute', 'Work'
+ *   settings: {
+ *     audioModeType, filterRules, preferredQuality, audioQuality, backgroundType, backgroundValue
+ *   }
+ * }
+ * The active profile's settings live in the usual storage keys, so content scripts
+ * react to a switch through their storage listeners like any other change.
+ * Profiles are kept in chrome.storage.local (each one holds a full rule set).
+ */
+
+const PROFILES_KEY = 'profiles';
+const ACTIVE_PROFILE_KEY = 'activeProfileId';
+
+// Settings saved in a profile, besides filterRules (see storage.js)
+const PROFILE_SETTINGS_KEYS = ['audioModeType', 'preferredQuality', 'audioQuality', 'backgroundType', 'backgroundValue'];
+
+const PROFILE_NAME_MAX_LENGTH = 30;
+
+/**
+ * Get saved profiles and the active profile ID
+ * @returns {Promise<Object>} { profiles: [], activeProfileId: string|null }
+ */
+async function getProfiles() {
+    const result = await chrome.storage.local.get([PROFILES_KEY, ACTIVE_PROFILE_KEY]);
+    const profiles = Array.isArray(result[PROFILES_KEY]) ? result[PROFILES_KEY] : [];
+    const activeProfileId = profiles.some(profile => profile.id === result[ACTIVE_PROFILE_KEY])
+        ? result[ACTIVE_PROFILE_KEY]
+        : null;
+    return { profiles, activeProfileId };
+}
+
+/**
+ * Read the current settings that a profile holds
+ */
+async function captureProfileSettings() {
+    const settings = await chrome.storage.sync.get(PROFILE_SETTINGS_KEYS);
+    settings.filterRules = (await getFilterRules()) || null;
+    return settings;
+}
+
+/**
+ * Save the current settings as a new profile and make it active
+ * @returns {Promise<Object>} The new profile
+ */
+async function createProfile(name) {
+    const { profiles } = await getProfiles();
+    const profile = {
+        id: Date.now().toString(36),
+        name: name.trim().slice(0, PROFILE_NAME_MAX_LENGTH),
+        settings: await captureProfileSettings()
+    };
+
+    await chrome.storage.local.set({
+        [PROFILES_KEY]: [...profiles, profile],
+        [ACTIVE_PROFILE_KEY]: profile.id
+    });
+    console.log(`[Audio Mode] Profile created: ${profile.name}`);
+    return profile;
+}
+
+/**
+ * Switch to a profile
+ * Changes made since the last switch are kept in the profile being left.
+ * @returns {Promise<Object|null>} The profile switched to, or null if it doesn't exist
+ */
+async function switchProfile(profileId) {
+    const { profiles, activeProfileId } = await getProfiles();
+    const target = profiles.find(profile => profile.id === profileId);
+    if (!target) return null;
+    if (profileId === activeProfileId) return target;
+
+    if (activeProfileId) {
+        const current = await captureProfileSettings();
+        profiles.forEach(profile => {
+            if (profile.id === activeProfileId) profile.settings = current;
+        });
+    }
+
+    // Rules first, so the mode change below is applied with the new rules
+    const { filterRules, ...settings } = target.settings || {};
+    await saveFilterRules(filterRules || { whitelist: {}, blacklist: {} });
+
+    const missingKeys = PROFILE_SETTINGS_KEYS.filter(key => settings[key] === undefined);
+    if (missingKeys.length > 0) {
+        await chrome.storage.sync.remove(missingKeys);
+    }
+    await chrome.storage.sync.set(settings);
+
+    await chrome.storage.local.set({
+        [PROFILES_KEY]: profiles,
+        [ACTIVE_PROFILE_KEY]: target.id
+    });
+    console.log(`[Audio Mode] Switched to profile: ${target.name}`);
+    return target;
+}
+
+/**
+ * Switch to the profile after the active one (wraps around)
+ * @returns {Promise<Object|null>} The profile switched to, or null if there are no profiles
+ */
+async function cycleProfile() {
+    const { profiles, activeProfileId } = await getProfiles();
+    if (profiles.length === 0) return null;
+
+    const index = profiles.findIndex(profile => profile.id === activeProfileId);
+    return switchProfile(profiles[(index + 1) % profiles.length].id);
+}
+
+/**
+ * Delete a profile (the current settings stay as they are)
+ */
+async function deleteProfile(profileId) {
+    const { profiles, activeProfileId } = await getProfiles();
+    await chrome.storage.local.set({
+        [PROFILES_KEY]: profiles.filter(profile => profile.id !== profileId),
+        [ACTIVE_PROFILE_KEY]: activeProfileId === profileId ? null : activeProfileId
+    });
+}
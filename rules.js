@@ -0,0 +1,520 @@
+// Filter rule matching for YouTube Audio Mode
+// Shared by content.js (content script), popup.js (rule tester) and options.js,
+// so the tester always agrees with what happens on the watch page
+
+/**
+ * filterRules shape (chrome.storage.sync):
+ * {
+ *   whitelist: { channels, keywords, categories, durations, playlists, videos, compound },
+ *   blacklist: { channels, keywords, categories, durations, playlists, videos, compound }
+ * }
+ * Whitelist matches mean audio mode, blacklist matches mean normal video.
+ *
+ * Compound rules combine channel and keyword conditions: { id, expression, addedAt }
+ * expression is a tree of:
+ *   { op: 'and' | 'or', items: [expression, ...] }
+ *   { op: 'not', item: expression }
+ *   { op: 'channel', id, name }
+ *   { op: 'keyword', keyword, target, matchType, caseSensitive }
+ * Lists saved before compound rules existed simply have no 'compound' array.
+ *
+ * Channel rules (and compound channel conditions) are { id, name, ucid, handle }:
+ * id is the form seen when the rule was added (UC… ID or @handle), ucid/handle
+ * are filled in once both forms of the channel are known.
+ *
+ * Any rule may also have addedAt (timestamp) and note (text added on the options page).
+ * Matches carry a key (see getRuleKey) that ruleStats in chrome.storage.local is keyed on.
+ */
+
+// Rule arrays in each list
+const RULE_LIST_KEYS = ['channels', 'keywords', 'categories', 'durations', 'playlists', 'videos', 'compound'];
+
+// Message keys for rule types (used to explain matches)
+const RULE_TYPE_LABELS = {
+    channel: 'channel',
+    keyword: 'keyword',
+    category: 'ruleKindCategory',
+    duration: 'ruleKindDuration',
+    playlist: 'playlist',
+    video: 'video',
+    compound: 'ruleKindCompound'
+};
+
+// Message keys for keyword match types and targets (defaults 'contains' / 'title' have no tag)
+const MATCH_TYPE_LABELS = {
+    word: 'matchWord',
+    wildcard: 'matchWildcard',
+    regex: 'matchRegex'
+};
+
+const KEYWORD_TARGET_LABELS = {
+    description: 'ruleKindDescription',
+    tags: 'ruleKindTags'
+};
+
+/**
+ * Ensure both lists and all rule arrays exist on rules loaded from storage
+ */
+function normalizeRules(rules) {
+    const normalized = rules || {};
+    ['whitelist', 'blacklist'].forEach(listType => {
+        if (!normalized[listType]) {
+            normalized[listType] = {};
+        }
+        RULE_LIST_KEYS.forEach(key => {
+            const items = normalized[listType][key];
+            normalized[listType][key] = Array.isArray(items) ? items : [];
+        });
+    });
+    return normalized;
+}
+
+/**
+ * Stable key for a rule, e.g. 'whitelist:channel:UC…' or 'blacklist:keyword:title:word:0:live'
+ * Two rules with the same key are duplicates.
+ */
+function getRuleKey(listType, ruleType, rule) {
+    switch (ruleType) {
+        case 'keyword':
+            return `${listType}:keyword:${rule.target || 'title'}:${rule.matchType || 'contains'}:${rule.caseSensitive ? 1 : 0}:${rule.keyword}`;
+        case 'category':
+            return `${listType}:category:${rule.category.toLowerCase()}`;
+        case 'duration':
+            return `${listType}:duration:${rule.operator}:${rule.minutes}`;
+        default:
+            // Channel, video, playlist and compound rules have an id
+            return `${listType}:${ruleType}:${rule.id}`;
+    }
+}
+
+/**
+ * Decide between audio mode and normal video for a video
+ * Precedence (most specific first):
+ * 1. Video rules: "always audio" (whitelist) / "always video" (blacklist)
+ * 2. Playlist rules: every item of a listed playlist
+ * 3. Blacklist match → normal video (takes precedence over whitelist)
+ * 4. Whitelist match → audio mode
+ * 5. Mode default: Always On → audio, Filtered → normal video
+ * @param {Object} videoInfo - Info from getCurrentVideoInfo() (or built by the rule tester)
+ * @param {Object} filterRules - Rules from storage
+ * @param {string} modeType - Effective mode: 'always', 'filtered' or 'off'
+ * @returns {Object} { audio, reason, match } - reason: 'rule', 'alwaysDefault', 'noMatch' or 'modeOff'
+ */
+function evaluateRules(videoInfo, filterRules, modeType) {
+    if (modeType === 'off') {
+        return { audio: false, reason: 'modeOff', match: null };
+    }
+
+    const idMatch = checkIdRules(videoInfo, filterRules);
+    if (idMatch) {
+        return { audio: idMatch.listType === 'whitelist', reason: 'rule', match: idMatch };
+    }
+
+    const blacklistMatch = checkBlacklist(videoInfo, filterRules);
+    if (blacklistMatch) {
+        return { audio: false, reason: 'rule', match: blacklistMatch };
+    }
+
+    const whitelistMatch = checkWhitelist(videoInfo, filterRules);
+    if (whitelistMatch) {
+        return { audio: true, reason: 'rule', match: whitelistMatch };
+    }
+
+    return modeType === 'always'
+        ? { audio: true, reason: 'alwaysDefault', match: null }
+        : { audio: false, reason: 'noMatch', match: null };
+}
+
+/**
+ * Find every rule in both lists that matches a video (for the rule tester)
+ * @returns {Array} Matches { listType, ruleType, value, key }
+ */
+function findAllRuleMatches(videoInfo, filterRules) {
+    if (!videoInfo || !filterRules) return [];
+
+    return [
+        ...findIdRuleMatches(videoInfo, filterRules),
+        ...findRuleListMatches(videoInfo, filterRules.blacklist, 'blacklist'),
+        ...findRuleListMatches(videoInfo, filterRules.whitelist, 'whitelist')
+    ];
+}
+
+/**
+ * Find video and playlist rules that match, in precedence order
+ * (video rules before playlist rules, blacklist before whitelist for playlists)
+ * @param {Object} ids - { videoId, playlistId }
+ * @returns {Array} Matches { listType, ruleType, value, key }
+ */
+function findIdRuleMatches(ids, filterRules) {
+    if (!ids || !filterRules) return [];
+
+    const { whitelist, blacklist } = filterRules;
+    const matches = [];
+    const addMatches = (items, id, listType, ruleType) => {
+        const item = id && items?.find(entry => entry.id === id);
+        if (item) {
+            matches.push({ listType, ruleType, value: item.name || item.id, key: getRuleKey(listType, ruleType, item) });
+        }
+    };
+
+    addMatches(whitelist?.videos, ids.videoId, 'whitelist', 'video');
+    addMatches(blacklist?.videos, ids.videoId, 'blacklist', 'video');
+    addMatches(blacklist?.playlists, ids.playlistId, 'blacklist', 'playlist');
+    addMatches(whitelist?.playlists, ids.playlistId, 'whitelist', 'playlist');
+
+    return matches;
+}
+
+/**
+ * Check video and playlist rules, which are keyed on IDs from the URL
+ * A whitelist match means audio, a blacklist match means normal video
+ * @param {Object} ids - { videoId, playlistId }
+ * @returns {Object|null} Match { listType, ruleType, value } or null if no ID rule matched
+ */
+function checkIdRules(ids, filterRules) {
+    return findIdRuleMatches(ids, filterRules)[0] || null;
+}
+
+/**
+ * Check if a rule list (whitelist or blacklist) has any content-based entries
+ * (video and playlist rules are handled by checkIdRules)
+ */
+function hasRules(list) {
+    return !!(list && (
+        list.channels?.length > 0 ||
+        list.keywords?.length > 0 ||
+        list.categories?.length > 0 ||
+        list.durations?.length > 0 ||
+        list.compound?.length > 0
+    ));
+}
+
+/**
+ * Check if any list has duration rules (which need the video duration)
+ */
+function rulesUseDuration(filterRules) {
+    return ['whitelist', 'blacklist'].some(listType => filterRules?.[listType]?.durations?.length > 0);
+}
+
+/**
+ * Check if video matches whitelist
+ * @returns {Object|null} Match { listType, ruleType, value } or null
+ */
+function checkWhitelist(videoInfo, filterRules) {
+    if (!videoInfo || !filterRules) return null;
+    return matchRuleList(videoInfo, filterRules.whitelist, 'whitelist');
+}
+
+/**
+ * Check if video matches blacklist
+ * Blacklisted videos always play as normal video
+ * @returns {Object|null} Match { listType, ruleType, value } or null
+ */
+function checkBlacklist(videoInfo, filterRules) {
+    if (!videoInfo || !filterRules) return null;
+    return matchRuleList(videoInfo, filterRules.blacklist, 'blacklist');
+}
+
+/**
+ * Check if video matches any rule in a rule list
+ * @param {Object} videoInfo - Info from getCurrentVideoInfo()
+ * @param {Object} list - { channels: [], keywords: [], categories: [], durations: [] }
+ * @param {string} listType - 'whitelist' or 'blacklist'
+ * @returns {Object|null} First match { listType, ruleType, value } or null
+ */
+function matchRuleList(videoInfo, list, listType) {
+    return findRuleListMatches(videoInfo, list, listType)[0] || null;
+}
+
+/**
+ * Find every compound, channel, keyword, category and duration rule in a list that matches
+ * @returns {Array} Matches { listType, ruleType, value, key } (compound rules first, as the most specific)
+ */
+function findRuleListMatches(videoInfo, list, listType) {
+    if (!videoInfo || !list) return [];
+
+    const { category, durationSeconds } = videoInfo;
+    const matches = [];
+    const addMatch = (ruleType, rule, value) => {
+        matches.push({ listType, ruleType, value, key: getRuleKey(listType, ruleType, rule) });
+    };
+
+    // Check compound rules (AND / OR / NOT)
+    (list.compound || [])
+        .filter(rule => matchExpression(rule.expression, videoInfo))
+        .forEach(rule => addMatch('compound', rule, formatExpression(rule.expression)));
+
+    // Check channel list (by UC ID or @handle)
+    (list.channels || [])
+        .filter(c => matchChannelRule(c, videoInfo))
+        .forEach(c => addMatch('channel', c, c.name));
+
+    // Check keyword list (title, description or tags)
+    (list.keywords || [])
+        .filter(kw => matchKeywordTarget(kw, videoInfo))
+        .forEach(kw => addMatch('keyword', kw, `"${kw.keyword}"`));
+
+    // Check category list
+    if (category) {
+        (list.categories || [])
+            .filter(c => c.category.toLowerCase() === category.toLowerCase())
+            .forEach(c => addMatch('category', c, c.category));
+    }
+
+    // Check duration thresholds
+    if (durationSeconds) {
+        (list.durations || [])
+            .filter(d => matchDuration(d, durationSeconds))
+            .forEach(d => addMatch('duration', d, `${d.operator === 'shorter' ? '<' : '>'} ${d.minutes} min`));
+    }
+
+    return matches;
+}
+
+/**
+ * Evaluate a compound rule expression against a video
+ * An empty AND/OR group never matches
+ */
+function matchExpression(expression, videoInfo) {
+    if (!expression) return false;
+
+    switch (expression.op) {
+        case 'and':
+            return expression.items?.length > 0 &&
+                expression.items.every(item => matchExpression(item, videoInfo));
+        case 'or':
+            return (expression.items || []).some(item => matchExpression(item, videoInfo));
+        case 'not':
+            return !!expression.item && !matchExpression(expression.item, videoInfo);
+        case 'channel':
+            return matchChannelRule(expression, videoInfo);
+        case 'keyword':
+            return matchKeywordTarget(expression, videoInfo);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Readable form of a compound rule expression, e.g. [Channel] AND "podcast" AND NOT "demo"
+ */
+function formatExpression(expression, nested = false) {
+    if (!expression) return '';
+
+    switch (expression.op) {
+        case 'and':
+        case 'or': {
+            const text = (expression.items || [])
+                .map(item => formatExpression(item, true))
+                .join(` ${expression.op.toUpperCase()} `);
+            return nested && expression.items?.length > 1 ? `(${text})` : text;
+        }
+        case 'not':
+            return `NOT ${formatExpression(expression.item, true)}`;
+        case 'channel':
+            return `[${expression.name || expression.id}]`;
+        case 'keyword': {
+            const pattern = expression.matchType === 'regex' ? `/${expression.keyword}/` : `"${expression.keyword}"`;
+            if (expression.target === 'tags') return expression.matchType === 'regex' ? `#${pattern}` : `#${expression.keyword}`;
+            if (expression.target === 'description') return `description:${pattern}`;
+            return pattern;
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Identifiers to compare channels by (handles are case-insensitive)
+ */
+function getChannelKeys(...identifiers) {
+    return identifiers
+        .filter(Boolean)
+        .map(identifier => identifier.startsWith('@') ? identifier.toLowerCase() : identifier);
+}
+
+/**
+ * Check if a channel rule matches the video's channel in either form
+ * @param {Object} rule - Channel rule { id, ucid, handle }
+ * @param {Object} videoInfo - { channelId, channelUcid, channelHandle }
+ */
+function matchChannelRule(rule, videoInfo) {
+    if (!rule || !videoInfo) return false;
+
+    const videoKeys = getChannelKeys(videoInfo.channelId, videoInfo.channelUcid, videoInfo.channelHandle);
+    return getChannelKeys(rule.id, rule.ucid, rule.handle).some(key => videoKeys.includes(key));
+}
+
+/**
+ * Store both forms of a channel on every rule that matches it by either form
+ * (channel rules and compound channel conditions, changed in place)
+ * @param {Object} channel - { ucid, handle }, both known
+ * @returns {boolean} true if any rule was upgraded
+ */
+function upgradeChannelRules(filterRules, channel) {
+    if (!filterRules || !channel?.ucid || !channel?.handle) return false;
+
+    const channelInfo = { channelUcid: channel.ucid, channelHandle: channel.handle };
+    let upgraded = false;
+
+    const upgrade = (rule) => {
+        if (!matchChannelRule(rule, channelInfo)) return;
+        if (rule.ucid !== channel.ucid || rule.handle !== channel.handle) {
+            rule.ucid = channel.ucid;
+            rule.handle = channel.handle;
+            upgraded = true;
+        }
+    };
+
+    const upgradeExpression = (expression) => {
+        if (!expression) return;
+        if (expression.op === 'channel') upgrade(expression);
+        upgradeExpression(expression.item);
+        (expression.items || []).forEach(upgradeExpression);
+    };
+
+    ['whitelist', 'blacklist'].forEach(listType => {
+        (filterRules[listType]?.channels || []).forEach(upgrade);
+        (filterRules[listType]?.compound || []).forEach(rule => upgradeExpression(rule.expression));
+    });
+
+    return upgraded;
+}
+
+// A channel is suggested for the whitelist after this many videos played in a
+// background tab, or after audio was switched on manually for it this many times
+const SUGGESTION_MIN_BACKGROUND_VIDEOS = 3;
+const SUGGESTION_MIN_MANUAL_AUDIO = 1;
+const SUGGESTION_MAX_COUNT = 5;
+
+/**
+ * Channels worth whitelisting, from listening signals recorded by content.js
+ * (channelListening in chrome.storage.local). Channels already in either list
+ * and dismissed suggestions are left out.
+ * @returns {Array} Entries of channelListening, strongest signal first
+ */
+function getChannelSuggestions(channelListening, filterRules) {
+    const rules = normalizeRules(filterRules);
+    const channelRules = [...rules.whitelist.channels, ...rules.blacklist.channels];
+
+    return Object.values(channelListening || {})
+        .filter(entry => !entry.dismissed)
+        .filter(entry => (entry.backgroundVideos || 0) >= SUGGESTION_MIN_BACKGROUND_VIDEOS ||
+            (entry.manualAudio || 0) >= SUGGESTION_MIN_MANUAL_AUDIO)
+        .filter(entry => {
+            const channelInfo = { channelId: entry.id, channelUcid: entry.ucid, channelHandle: entry.handle };
+            return !channelRules.some(rule => matchChannelRule(rule, channelInfo));
+        })
+        .sort((a, b) => ((b.backgroundVideos || 0) + (b.manualAudio || 0)) - ((a.backgroundVideos || 0) + (a.manualAudio || 0)) ||
+            (b.backgroundSeconds || 0) - (a.backgroundSeconds || 0))
+        .slice(0, SUGGESTION_MAX_COUNT);
+}
+
+/**
+ * Check a keyword rule against the video field it targets
+ * - 'title' (default): video title
+ * - 'description': video description
+ * - 'tags': each tag/hashtag separately
+ */
+function matchKeywordTarget(kw, videoInfo) {
+    const target = kw.target || 'title';
+
+    if (target === 'tags') {
+        return (videoInfo.tags || []).some(tag => matchKeyword(kw, tag));
+    }
+    if (target === 'description') {
+        return matchKeyword(kw, videoInfo.description);
+    }
+    return matchKeyword(kw, videoInfo.videoTitle);
+}
+
+/**
+ * Check a duration rule ({ operator: 'longer'|'shorter', minutes })
+ */
+function matchDuration(rule, durationSeconds) {
+    const thresholdSeconds = rule.minutes * 60;
+    return rule.operator === 'shorter'
+        ? durationSeconds < thresholdSeconds
+        : durationSeconds > thresholdSeconds;
+}
+
+/**
+ * Check if text matches a keyword rule
+ * Match types:
+ * - 'contains' (default): plain substring
+ * - 'word': whole word/phrase only ("live" won't match "olive")
+ * - 'wildcard': whole word with * (any text) and ? (one character)
+ * - 'regex': regular expression
+ * @param {Object} kw - Keyword rule { keyword, matchType, caseSensitive }
+ * @param {string} text - Text to test (e.g. video title)
+ */
+function matchKeyword(kw, text) {
+    if (!kw?.keyword || !text) return false;
+
+    const matchType = kw.matchType || 'contains';
+
+    if (matchType === 'contains') {
+        return kw.caseSensitive
+            ? text.includes(kw.keyword)
+            : text.toLowerCase().includes(kw.keyword.toLowerCase());
+    }
+
+    const regex = buildKeywordRegex(kw);
+    return regex ? regex.test(text) : false;
+}
+
+/**
+ * Validate a keyword pattern before it is saved
+ * @returns {string|null} Message key for the error, or null if valid
+ */
+function validateKeywordPattern(keyword, matchType) {
+    if (!keyword) return 'invalidKeyword';
+    // Build the pattern exactly as the content script will
+    if (matchType === 'regex' && !buildKeywordRegex({ keyword, matchType })) {
+        return 'invalidRegex';
+    }
+    if (matchType === 'wildcard' && /^[*?\s]+$/.test(keyword)) {
+        // A pattern of only wildcards would match every video
+        return 'invalidKeyword';
+    }
+    return null;
+}
+
+/**
+ * Check if two keyword rules are the same rule (same field, match type and case handling;
+ * case-insensitive rules compare the keyword case-insensitively)
+ */
+function isSameKeywordRule(a, b) {
+    const caseSensitive = !!a.caseSensitive;
+    return (a.target || 'title') === (b.target || 'title') &&
+        (a.matchType || 'contains') === (b.matchType || 'contains') &&
+        caseSensitive === !!b.caseSensitive &&
+        (caseSensitive ? a.keyword === b.keyword : a.keyword.toLowerCase() === b.keyword.toLowerCase());
+}
+
+/**
+ * Build the RegExp for a non-substring keyword rule
+ * @returns {RegExp|null} null if the pattern is invalid
+ */
+function buildKeywordRegex(kw) {
+    const flags = kw.caseSensitive ? 'u' : 'iu';
+    // Word boundaries that work for non-Latin scripts (e.g. Arabic)
+    const wordStart = '(?<![\\p{L}\\p{N}_])';
+    const wordEnd = '(?![\\p{L}\\p{N}_])';
+    const escaped = kw.keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    try {
+        if (kw.matchType === 'regex') {
+            return new RegExp(kw.keyword, kw.caseSensitive ? '' : 'i');
+        }
+        if (kw.matchType === 'wildcard') {
+            const pattern = escaped.replace(/\\\*/g, '[^\\s]*').replace(/\\\?/g, '[^\\s]');
+            return new RegExp(`${wordStart}${pattern}${wordEnd}`, flags);
+        }
+        return new RegExp(`${wordStart}${escaped}${wordEnd}`, flags);
+    } catch (e) {
+        console.log(`[Audio Mode] Invalid keyword pattern: "${kw.keyword}"`, e);
+        return null;
+    }
+}
+
@@ -0,0 +1,114 @@
+// Schedule rules for YouTube Audio Mode
+// Shared by background.js (importScripts), content.js (content script) and popup.js
+
+/**
+ * A schedule entry overrides the selected mode during a time window:
+ * {
+ *   id: string,
+ *   days: number[],      // 0 = Sunday ... 6 = Saturday (day the window starts)
+ *   start: 'HH:MM',
+ *   end: 'HH:MM',        // end <= start means the window runs past midnight
+ *   mode: 'always' | 'filtered' | 'off',
+ *   enabled: boolean
+ * }
+ * The first active entry wins. Outside every window the selected mode applies.
+ */
+
+const SCHEDULE_MAX_LOOKAHEAD_DAYS = 8;
+
+/**
+ * Convert 'HH:MM' to minutes since midnight
+ * @returns {number|null} null if the value is not a valid time
+ */
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+}
+
+/**
+ * Check if a schedule entry is active at the given time
+ * @param {Object} schedule - Schedule entry
+ * @param {Date} date - Time to check (default: now)
+ */
+function isScheduleActive(schedule, date = new Date()) {
+    if (!schedule || schedule.enabled === false || !schedule.days?.length) return false;
+
+    const start = parseTimeOfDay(schedule.start);
+    const end = parseTimeOfDay(schedule.end);
+    if (start === null || end === null) return false;
+
+    const day = date.getDay();
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    if (start < end) {
+        return schedule.days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    // Window runs past midnight: evening part belongs to today,
+    // early-morning part belongs to the previous day's window
+    const previousDay = (day + 6) % 7;
+    return (schedule.days.includes(day) && minutes >= start) ||
+        (schedule.days.includes(previousDay) && minutes < end);
+}
+
+/**
+ * Get the first schedule entry active at the given time
+ * @returns {Object|null}
+ */
+function getActiveSchedule(schedules, date = new Date()) {
+    return (schedules || []).find(schedule => isScheduleActive(schedule, date)) || null;
+}
+
+/**
+ * Get the mode that applies right now: the active schedule's mode, or the selected mode
+ * @param {string} baseModeType - Mode selected in the popup ('always', 'filtered', 'off')
+ * @param {Array} schedules - Schedule entries
+ */
+function getEffectiveModeType(baseModeType, schedules, date = new Date()) {
+    const activeSchedule = getActiveSchedule(schedules, date);
+    return activeSchedule ? activeSchedule.mode : (baseModeType || 'always');
+}
+
+/**
+ * Get the next time any schedule window starts or ends
+ * Used to re-apply the mode while a video is already playing
+ * @returns {Date|null} null if there are no usable schedules
+ */
+function getNextScheduleBoundary(schedules, date = new Date()) {
+    let next = null;
+
+    (schedules || []).forEach(schedule => {
+        if (schedule.enabled === false || !schedule.days?.length) return;
+
+        const start = parseTimeOfDay(schedule.start);
+        const end = parseTimeOfDay(schedule.end);
+        if (start === null || end === null) return;
+
+        for (let offset = -1; offset <= SCHEDULE_MAX_LOOKAHEAD_DAYS; offset++) {
+            const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+            if (!schedule.days.includes(day.getDay())) continue;
+
+            const startTime = new Date(day.getTime());
+            startTime.setHours(0, start, 0, 0);
+
+            // Overnight windows end on the following day
+            const endTime = new Date(day.getTime());
+            endTime.setDate(endTime.getDate() + (end <= start ? 1 : 0));
+            endTime.setHours(0, end, 0, 0);
+
+            [startTime, endTime].forEach(boundary => {
+                if (boundary > date && (!next || boundary < next)) {
+                    next = boundary;
+                }
+            });
+        }
+    });
+
+    return next;
+}
@@ -0,0 +1,192 @@
+// Filter rule storage for YouTube Audio Mode
+// Shared by content.js (content script) and popup.js
+
+/**
+ * chrome.storage.sync limits each item to 8 KB and all items to 100 KB,
+ * so filterRules is stored in one of three ways:
+ * - 'sync':   filterRules is the rules object itself (small rule sets, older versions)
+ * - 'shards': filterRules is { __storage: 'shards', __shards: n, updatedAt } and the
+ *             rules JSON is split across filterRules_0 ... filterRules_(n-1) as { v: updatedAt, d: text }
+ * - 'local':  filterRules is { __storage: 'local', updatedAt } and the rules are in
+ *             chrome.storage.local (not synced between devices)
+ * The filterRules sync item changes on every save, so storage listeners keep working.
+ */
+
+const FILTER_RULES_KEY = 'filterRules';
+const FILTER_RULES_SHARD_PREFIX = 'filterRules_';
+
+const SYNC_QUOTA_BYTES = chrome.storage.sync.QUOTA_BYTES || 102400;
+const SYNC_QUOTA_BYTES_PER_ITEM = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192;
+
+// Sync space kept free for other settings (mode, schedules, theme, ...)
+const SYNC_RESERVED_BYTES = 8192;
+
+// Characters per shard before checking its size (non-Latin text needs smaller shards)
+const FILTER_RULES_SHARD_CHARS = 7000;
+
+// Rules using more than this share of the available sync space trigger a warning
+const FILTER_RULES_WARNING_RATIO = 0.8;
+
+/**
+ * Bytes an item takes in chrome.storage.sync (key plus JSON value, UTF-8)
+ */
+function getStoredItemBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+function getShardKeys(count) {
+    return Array.from({ length: count }, (_, index) => `${FILTER_RULES_SHARD_PREFIX}${index}`);
+}
+
+/**
+ * Split the rules JSON into pieces that each fit in one sync item
+ */
+function splitIntoShards(text, updatedAt) {
+    const shards = [];
+    let start = 0;
+
+    while (start < text.length) {
+        const key = `${FILTER_RULES_SHARD_PREFIX}${shards.length}`;
+        let end = Math.min(text.length, start + FILTER_RULES_SHARD_CHARS);
+        while (getStoredItemBytes(key, { v: updatedAt, d: text.slice(start, end) }) > SYNC_QUOTA_BYTES_PER_ITEM) {
+            end = start + Math.floor((end - start) * 0.8);
+        }
+        shards.push(text.slice(start, end));
+        start = end;
+    }
+
+    return shards;
+}
+
+/**
+ * Read filter rules, wherever they are stored
+ * @returns {Promise<Object|undefined>} Rules object, or undefined if none are saved
+ */
+async function getFilterRules(retryCount = 0) {
+    const MAX_RETRIES = 3;
+    const RETRY_DELAY = 500;
+
+    const result = await chrome.storage.sync.get([FILTER_RULES_KEY]);
+    const stored = result[FILTER_RULES_KEY];
+
+    if (!stored?.__storage) {
+        return stored;
+    }
+
+    if (stored.__storage === 'local') {
+        const local = await chrome.storage.local.get([FILTER_RULES_KEY]);
+        return local[FILTER_RULES_KEY];
+    }
+
+    const keys = getShardKeys(stored.__shards || 0);
+    const shards = await chrome.storage.sync.get(keys);
+
+    // Shards from another device can arrive after the filterRules item - wait for them
+    if (keys.some(key => shards[key]?.v !== stored.updatedAt)) {
+        if (retryCount < MAX_RETRIES) {
+            await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+            return getFilterRules(retryCount + 1);
+        }
+        console.error('[Audio Mode] Filter rule shards are incomplete');
+        return undefined;
+    }
+
+    try {
+        return JSON.parse(keys.map(key => shards[key].d).join(''));
+    } catch (error) {
+        console.error('[Audio Mode] Filter rule shards could not be read:', error);
+        return undefined;
+    }
+}
+
+/**
+ * Work out where rules would be saved and how much sync space they would use
+ * Used before saving, and by the popup to warn before sync storage runs out
+ * @returns {Promise<Object>} { location: 'sync'|'shards'|'local', shards, bytes, availableBytes, usage, nearlyFull }
+ */
+async function getFilterRulesStorageInfo(rules, updatedAt = Date.now()) {
+    const text = JSON.stringify(rules);
+
+    // Space available to rules: everything not used by other settings, minus the reserve
+    const result = await chrome.storage.sync.get([FILTER_RULES_KEY]);
+    const currentKeys = [FILTER_RULES_KEY, ...getShardKeys(result[FILTER_RULES_KEY]?.__shards || 0)];
+    const [totalBytes, currentBytes] = await Promise.all([
+        chrome.storage.sync.getBytesInUse(null),
+        chrome.storage.sync.getBytesInUse(currentKeys)
+    ]);
+    const availableBytes = SYNC_QUOTA_BYTES - SYNC_RESERVED_BYTES - (totalBytes - currentBytes);
+
+    let location = 'sync';
+    let shards = null;
+    let bytes = getStoredItemBytes(FILTER_RULES_KEY, rules);
+
+    if (bytes > SYNC_QUOTA_BYTES_PER_ITEM) {
+        shards = splitIntoShards(text, updatedAt);
+        bytes = shards.reduce(
+            (total, shard, index) => total + getStoredItemBytes(`${FILTER_RULES_SHARD_PREFIX}${index}`, { v: updatedAt, d: shard }),
+            getStoredItemBytes(FILTER_RULES_KEY, { __storage: 'shards', __shards: shards.length, updatedAt })
+        );
+        location = 'shards';
+    }
+
+    if (bytes > availableBytes) {
+        location = 'local';
+    }
+
+    return {
+        location,
+        shards,
+        bytes,
+        availableBytes,
+        usage: availableBytes > 0 ? bytes / availableBytes : 1,
+        nearlyFull: location === 'local' || bytes / availableBytes > FILTER_RULES_WARNING_RATIO
+    };
+}
+
+/**
+ * Save filter rules: one sync item when small, several sync items when larger,
+ * storage.local (this device only) when they don't fit in sync
+ * @returns {Promise<string>} Where the rules were saved: 'sync', 'shards' or 'local'
+ */
+async function saveFilterRules(rules) {
+    const updatedAt = Date.now();
+    const info = await getFilterRulesStorageInfo(rules, updatedAt);
+    const previous = (await chrome.storage.sync.get([FILTER_RULES_KEY]))[FILTER_RULES_KEY];
+    let location = info.location;
+
+    try {
+        if (location === 'sync') {
+            await chrome.storage.sync.set({ [FILTER_RULES_KEY]: rules });
+        } else if (location === 'shards') {
+            // Shards first, so listeners reacting to filterRules read complete data
+            const items = {};
+            info.shards.forEach((shard, index) => {
+                items[`${FILTER_RULES_SHARD_PREFIX}${index}`] = { v: updatedAt, d: shard };
+            });
+            await chrome.storage.sync.set(items);
+            await chrome.storage.sync.set({
+                [FILTER_RULES_KEY]: { __storage: 'shards', __shards: info.shards.length, updatedAt }
+            });
+        }
+    } catch (error) {
+        // Quota estimate was off (e.g. other settings grew) - keep the rules on this device
+        console.warn('[Audio Mode] Filter rules do not fit in sync storage, saving locally:', error);
+        location = 'local';
+    }
+
+    if (location === 'local') {
+        await chrome.storage.local.set({ [FILTER_RULES_KEY]: rules });
+        await chrome.storage.sync.set({ [FILTER_RULES_KEY]: { __storage: 'local', updatedAt } });
+    }
+
+    // Remove shards and local copies that are no longer used
+    const staleShards = getShardKeys(previous?.__shards || 0).slice(location === 'shards' ? info.shards.length : 0);
+    if (staleShards.length > 0) {
+        await chrome.storage.sync.remove(staleShards);
+    }
+    if (location !== 'local' && previous?.__storage === 'local') {
+        await chrome.storage.local.remove(FILTER_RULES_KEY);
+    }
+
+    return location;
+}